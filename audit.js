@@ -0,0 +1,47 @@
+// Audit log for manual changes to draw results (who changed what and when)
+const pool = require('./db');
+
+// Record one change. Pass the transaction client so the entry commits with the change.
+async function recordAudit(client, { actor, action, entityType, entityId, drawId, before = null, after = null }) {
+    await client.query(
+        `INSERT INTO audit_log (actor, action, entity_type, entity_id, draw_id, before_data, after_data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [actor, action, entityType, entityId, drawId, JSON.stringify(before), JSON.stringify(after)]
+    );
+}
+
+// Current prize categories and winning numbers of a draw, for before/after values
+async function snapshotDrawResults(client, drawId) {
+    const result = await client.query(
+        `SELECT pc.category_name, pc.prize_amount,
+                COALESCE(
+                    json_agg(wn.ticket_number ORDER BY wn.ticket_number) FILTER (WHERE wn.id IS NOT NULL),
+                    '[]'
+                ) AS winning_numbers
+         FROM prize_categories pc
+         LEFT JOIN winning_numbers wn ON wn.category_id = pc.id
+         WHERE pc.draw_id = $1
+         GROUP BY pc.id, pc.category_name, pc.prize_amount
+         ORDER BY pc.prize_amount DESC, pc.category_name`,
+        [drawId]
+    );
+    return result.rows;
+}
+
+async function listAudit({ drawId, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let where = '';
+    if (drawId) {
+        params.push(drawId);
+        where = 'WHERE draw_id = $1';
+    }
+    const result = await pool.query(
+        `SELECT * FROM audit_log ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+    return result.rows;
+}
+
+module.exports = { recordAudit, snapshotDrawResults, listAudit };
@@ -0,0 +1,98 @@
+// Authentication middleware
+const crypto = require('crypto');
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+// Admin keys come from ADMIN_API_KEYS ("name:key,name:key") and/or ADMIN_API_KEY
+// (a single key named "admin"). The name is recorded as who triggered a job.
+function loadAdminKeys() {
+    const keys = [];
+    for (const entry of (process.env.ADMIN_API_KEYS || '').split(',')) {
+        // Split on the first ":" only: keys may contain ":" themselves
+        const separator = entry.indexOf(':');
+        const name = entry.slice(0, separator).trim();
+        const key = entry.slice(separator + 1).trim();
+        if (separator > 0 && name && key) keys.push({ name, key });
+    }
+    if (process.env.ADMIN_API_KEY) {
+        keys.push({ name: 'admin', key: process.env.ADMIN_API_KEY });
+    }
+    return keys;
+}
+
+// Constant-time comparison so keys can't be guessed from response timing
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Protects admin routes: accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function requireAdmin(req, res, next) {
+    const keys = loadAdminKeys();
+    if (keys.length === 0) {
+        return res.status(503).json({ success: false, message: 'Admin API is disabled. Set ADMIN_API_KEY to enable it.' });
+    }
+
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+    const match = token && keys.find(k => safeEqual(k.key, token));
+
+    if (!match) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
+    req.admin = match.name;
+    next();
+}
+
+// ---- User accounts (Supabase Auth) ----
+
+// Checks access tokens issued by Supabase Auth: verify(token) -> { id, email } or null
+function createSupabaseUserVerifier({ client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY) } = {}) {
+    return {
+        async verify(token) {
+            const { data, error } = await client.auth.getUser(token);
+            if (error || !data || !data.user) return null;
+            return { id: data.user.id, email: data.user.email || null };
+        }
+    };
+}
+
+let userVerifier = null;
+
+// Configured verifier (created on first use)
+function getUserVerifier() {
+    if (!userVerifier) userVerifier = createSupabaseUserVerifier();
+    return userVerifier;
+}
+
+// Replace the verifier (used by tests)
+function setUserVerifier(verifier) {
+    userVerifier = verifier;
+}
+
+// Protects user routes: requires "Authorization: Bearer <Supabase access token>" and sets req.user
+async function requireUser(req, res, next) {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Sign in required.' });
+    }
+
+    let user;
+    try {
+        user = await getUserVerifier().verify(token);
+    } catch (err) {
+        console.error('Error verifying user token:', err.message);
+        return res.status(503).json({ success: false, message: 'Sign-in service unavailable.' });
+    }
+    if (!user) {
+        return res.status(401).json({ success: false, message: 'Invalid or expired session.' });
+    }
+
+    req.user = user;
+    next();
+}
+
+module.exports = { requireAdmin, requireUser, createSupabaseUserVerifier, getUserVerifier, setUserVerifier };
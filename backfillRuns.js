@@ -0,0 +1,53 @@
+// Progress records for historical archive backfills (see backfillArchive in scraper.js).
+// A run covers a date range; an unfinished run for the same range is resumed
+// instead of starting over.
+const pool = require('./db');
+
+const RUN_COLUMNS = `id, to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+    status, triggered_by, next_page_url, pages_scanned, draws_found, draws_inserted, draws_skipped, draws_failed,
+    last_error, created_at, updated_at, finished_at`;
+
+// Latest unfinished run for the range, or a new one
+async function findOrCreateRun({ from, to, triggeredBy }) {
+    const existing = await pool.query(
+        `SELECT ${RUN_COLUMNS} FROM backfill_runs
+         WHERE date_from = $1 AND date_to = $2 AND status <> 'completed'
+         ORDER BY created_at DESC LIMIT 1`,
+        [from, to]
+    );
+    if (existing.rows.length > 0) return existing.rows[0];
+
+    const created = await pool.query(
+        `INSERT INTO backfill_runs (date_from, date_to, triggered_by) VALUES ($1, $2, $3)
+         RETURNING ${RUN_COLUMNS}`,
+        [from, to, triggeredBy]
+    );
+    return created.rows[0];
+}
+
+// Save progress: fields is a subset of the run's columns
+async function updateRun(id, fields) {
+    const columns = Object.keys(fields);
+    const sets = columns.map((column, i) => `${column} = $${i + 2}`);
+    const result = await pool.query(
+        `UPDATE backfill_runs SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING ${RUN_COLUMNS}`,
+        [id, ...columns.map(c => fields[c])]
+    );
+    return result.rows[0] || null;
+}
+
+async function getRun(id) {
+    const result = await pool.query(`SELECT ${RUN_COLUMNS} FROM backfill_runs WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+async function listRuns({ limit = 20, offset = 0 } = {}) {
+    const result = await pool.query(
+        `SELECT ${RUN_COLUMNS} FROM backfill_runs ORDER BY created_at DESC LIMIT $1 OFFSET $2`,
+        [limit, offset]
+    );
+    return result.rows;
+}
+
+module.exports = { findOrCreateRun, updateRun, getRun, listRuns };
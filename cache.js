@@ -0,0 +1,71 @@
+// In-memory cache of finalised draws for the public API. Only results that can no
+// longer change on their own (status "final") are kept; draws held for review are
+// always read from the database. Anything that writes a draw (the scraper, re-parses
+// and admin corrections) calls invalidateDrawCache(), which empties the whole cache.
+// That only reaches this process: writes from the CLI or another instance show up
+// once the entry expires, after the same max-age clients are told to cache for.
+require('dotenv').config();
+
+const MAX_ENTRIES = parseInt(process.env.DRAW_CACHE_SIZE, 10) || 500;
+
+// How long browsers and proxies may reuse a response built from finalised draws
+const MAX_AGE_SECONDS = parseInt(process.env.DRAW_CACHE_MAX_AGE, 10) || 300;
+
+// Least-recently-used cache whose entries expire ttlMs after they are set
+// (a Map keeps insertion order, so the first key is the oldest)
+function createCache({ max = MAX_ENTRIES, ttlMs = MAX_AGE_SECONDS * 1000, now = Date.now } = {}) {
+    const entries = new Map();
+    const live = key => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now()) entries.delete(key);
+        return entries.has(key);
+    };
+    return {
+        has: live,
+        get(key) {
+            if (!live(key)) return undefined;
+            const entry = entries.get(key);
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: now() + ttlMs });
+            if (entries.size > max) entries.delete(entries.keys().next().value);
+        },
+        clear: () => entries.clear(),
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+const drawCache = createCache();
+
+// Bumped on every invalidation so a load that started before it isn't cached after it
+let generation = 0;
+
+function invalidateDrawCache() {
+    generation++;
+    drawCache.clear();
+}
+
+// Cached value for key, or load() it. The result is only kept if isFinal(result).
+// Cached values are shared between requests: callers must not modify them.
+async function cachedDraws(key, load, isFinal) {
+    if (drawCache.has(key)) return drawCache.get(key);
+
+    const started = generation;
+    const value = await load();
+    if (started === generation && isFinal(value)) drawCache.set(key, value);
+    return value;
+}
+
+// Cache-Control for a response: finalised results can be reused for a while,
+// anything else must be revalidated (Express adds the ETag and answers 304)
+function setCacheHeaders(res, final) {
+    res.set('Cache-Control', final ? `public, max-age=${MAX_AGE_SECONDS}` : 'no-cache');
+}
+
+module.exports = { MAX_AGE_SECONDS, createCache, drawCache, invalidateDrawCache, cachedDraws, setCacheHeaders };
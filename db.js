@@ -0,0 +1,29 @@
+// Shared Postgres connection pool (Supabase).
+// The pool is created on first use so requiring modules has no side effects;
+// tests swap in an in-memory database with setPool().
+const { Pool } = require('pg');
+require('dotenv').config();
+
+let pool = null;
+
+function getPool() {
+    if (!pool) {
+        pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: { rejectUnauthorized: false } // Required for Supabase
+        });
+    }
+    return pool;
+}
+
+function setPool(newPool) {
+    pool = newPool;
+}
+
+module.exports = {
+    query: (...args) => getPool().query(...args),
+    connect: () => getPool().connect(),
+    end: () => (pool ? pool.end() : Promise.resolve()),
+    getPool,
+    setPool
+};
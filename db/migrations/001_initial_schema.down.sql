@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS scrape_jobs;
+DROP TABLE IF EXISTS winning_numbers;
+DROP TABLE IF EXISTS prize_categories;
+DROP TABLE IF EXISTS lottery_draws;
@@ -0,0 +1,82 @@
+-- Initial schema. Everything is IF NOT EXISTS so databases created from the
+-- old db/schema.sql can be brought under the migration runner as-is.
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Lottery Draws Table
+CREATE TABLE IF NOT EXISTS lottery_draws (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    draw_date DATE NOT NULL UNIQUE,
+    lottery_name VARCHAR(100) NOT NULL,
+    draw_no VARCHAR(50) NOT NULL,
+    pdf_url TEXT,                -- our archived copy (falls back to source_url)
+    source_url TEXT,             -- original statelottery.kerala.gov.in link
+    pdf_checksum VARCHAR(64),    -- SHA-256 of the archived PDF
+    status VARCHAR(20) NOT NULL DEFAULT 'final', -- final, needs_review
+    confidence NUMERIC(3, 2),    -- parser confidence score (0-1)
+    anomalies JSONB DEFAULT '[]', -- validation findings against the prize structure
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns added after the first deployment (for databases created before them)
+ALTER TABLE lottery_draws ADD COLUMN IF NOT EXISTS source_url TEXT;
+ALTER TABLE lottery_draws ADD COLUMN IF NOT EXISTS pdf_checksum VARCHAR(64);
+ALTER TABLE lottery_draws ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'final';
+ALTER TABLE lottery_draws ADD COLUMN IF NOT EXISTS confidence NUMERIC(3, 2);
+ALTER TABLE lottery_draws ADD COLUMN IF NOT EXISTS anomalies JSONB DEFAULT '[]';
+
+-- Prize Categories Table
+CREATE TABLE IF NOT EXISTS prize_categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    draw_id UUID REFERENCES lottery_draws(id) ON DELETE CASCADE,
+    category_name VARCHAR(100) NOT NULL,
+    prize_amount DECIMAL(12, 2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Winning Numbers Table
+CREATE TABLE IF NOT EXISTS winning_numbers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    category_id UUID REFERENCES prize_categories(id) ON DELETE CASCADE,
+    ticket_number VARCHAR(20) NOT NULL,
+    series VARCHAR(10),
+    number VARCHAR(10),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scrape Jobs Table (one row per scraper run, manual or scheduled)
+CREATE TABLE IF NOT EXISTS scrape_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_type VARCHAR(50) NOT NULL,               -- latest, date, full
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, succeeded, partial, failed
+    triggered_by VARCHAR(100),
+    params JSONB DEFAULT '{}',
+    draws_found INTEGER DEFAULT 0,
+    draws_inserted INTEGER DEFAULT 0,
+    draws_failed INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]',
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Audit Log Table (manual corrections and re-parses of draw results)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor VARCHAR(100) NOT NULL,
+    action VARCHAR(50) NOT NULL,       -- reparse, upload_pdf, update_category, update_number, ...
+    entity_type VARCHAR(50) NOT NULL,  -- draw, prize_category, winning_number
+    entity_id UUID,
+    draw_id UUID REFERENCES lottery_draws(id) ON DELETE SET NULL,
+    before_data JSONB,
+    after_data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indices
+CREATE INDEX IF NOT EXISTS idx_winning_numbers_ticket ON winning_numbers(ticket_number);
+CREATE INDEX IF NOT EXISTS idx_winning_numbers_full ON winning_numbers(series, number);
+CREATE INDEX IF NOT EXISTS idx_draw_date ON lottery_draws(draw_date);
+CREATE INDEX IF NOT EXISTS idx_winning_numbers_last4 ON winning_numbers(RIGHT(number, 4));
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_started ON scrape_jobs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_draw ON audit_log(draw_id, created_at DESC);
@@ -0,0 +1,4 @@
+-- Fails if any date already has more than one draw
+ALTER TABLE lottery_draws DROP CONSTRAINT IF EXISTS lottery_draws_lottery_code_draw_no_key;
+ALTER TABLE lottery_draws DROP COLUMN IF EXISTS lottery_code;
+ALTER TABLE lottery_draws ADD CONSTRAINT lottery_draws_draw_date_key UNIQUE (draw_date);
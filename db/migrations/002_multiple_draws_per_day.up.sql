@@ -0,0 +1,15 @@
+-- Multiple draws per day (e.g. a bumper drawn alongside the weekly lottery).
+-- Draws are now keyed by lottery code + draw number instead of draw date.
+ALTER TABLE lottery_draws ADD COLUMN IF NOT EXISTS lottery_code VARCHAR(10);
+
+-- Backfill from the draw number ("KN-555" -> "KN"), falling back to the draw number itself
+UPDATE lottery_draws
+SET lottery_code = CASE WHEN draw_no ~ '^[A-Z]+-[0-9]+$' THEN split_part(draw_no, '-', 1)
+                        ELSE left(draw_no, 10) END
+WHERE lottery_code IS NULL;
+
+ALTER TABLE lottery_draws ALTER COLUMN lottery_code SET NOT NULL;
+
+ALTER TABLE lottery_draws DROP CONSTRAINT IF EXISTS lottery_draws_draw_date_key;
+ALTER TABLE lottery_draws DROP CONSTRAINT IF EXISTS lottery_draws_lottery_code_draw_no_key;
+ALTER TABLE lottery_draws ADD CONSTRAINT lottery_draws_lottery_code_draw_no_key UNIQUE (lottery_code, draw_no);
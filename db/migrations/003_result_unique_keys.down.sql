@@ -0,0 +1,2 @@
+ALTER TABLE winning_numbers DROP CONSTRAINT IF EXISTS winning_numbers_category_ticket_key;
+ALTER TABLE prize_categories DROP CONSTRAINT IF EXISTS prize_categories_draw_category_key;
@@ -0,0 +1,19 @@
+-- Unique keys behind the scraper's ON CONFLICT clauses in insertDrawResults().
+-- Without them those inserts fail, so duplicates can only come from manual edits;
+-- they're removed first, keeping the oldest row.
+DELETE FROM winning_numbers WHERE id IN (
+    SELECT a.id
+    FROM winning_numbers a
+    JOIN winning_numbers b ON a.category_id = b.category_id AND a.ticket_number = b.ticket_number
+    WHERE a.created_at > b.created_at OR (a.created_at = b.created_at AND a.id > b.id)
+);
+
+DELETE FROM prize_categories WHERE id IN (
+    SELECT a.id
+    FROM prize_categories a
+    JOIN prize_categories b ON a.draw_id = b.draw_id AND a.category_name = b.category_name
+    WHERE a.created_at > b.created_at OR (a.created_at = b.created_at AND a.id > b.id)
+);
+
+ALTER TABLE prize_categories ADD CONSTRAINT prize_categories_draw_category_key UNIQUE (draw_id, category_name);
+ALTER TABLE winning_numbers ADD CONSTRAINT winning_numbers_category_ticket_key UNIQUE (category_id, ticket_number);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS failed_draws;
+DROP TABLE IF EXISTS source_health;
@@ -0,0 +1,29 @@
+-- Source Health Table (last contact with each host the scraper fetches from)
+CREATE TABLE IF NOT EXISTS source_health (
+    host VARCHAR(255) PRIMARY KEY,
+    last_reached_at TIMESTAMP WITH TIME ZONE,  -- last successful response
+    last_failure_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Failed Draws Table (draws listed on the result page that couldn't be scraped,
+-- retried with backoff until they succeed or run out of attempts)
+CREATE TABLE IF NOT EXISTS failed_draws (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lottery_code VARCHAR(10) NOT NULL,
+    draw_no VARCHAR(50) NOT NULL,
+    draw_date DATE NOT NULL,
+    lottery_name VARCHAR(100) NOT NULL,
+    source_url TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, gave_up
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (lottery_code, draw_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_failed_draws_due ON failed_draws(status, next_attempt_at);
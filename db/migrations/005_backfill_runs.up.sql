@@ -0,0 +1,19 @@
+-- Backfill Runs Table (historical archive backfills over a date range; progress is
+-- saved after every archive page so an interrupted run can resume where it stopped)
+CREATE TABLE IF NOT EXISTS backfill_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, running, completed, failed
+    triggered_by VARCHAR(100),
+    next_page_url TEXT,                             -- archive page to resume from
+    pages_scanned INTEGER NOT NULL DEFAULT 0,
+    draws_found INTEGER NOT NULL DEFAULT 0,
+    draws_inserted INTEGER NOT NULL DEFAULT 0,
+    draws_skipped INTEGER NOT NULL DEFAULT 0,
+    draws_failed INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
@@ -0,0 +1,46 @@
+-- Webhooks Table (endpoints notified when results are ingested; payloads are
+-- HMAC-SHA256 signed with the webhook's secret)
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url TEXT NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    events JSONB NOT NULL DEFAULT '["draw.ingested", "ticket.won"]',
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook Deliveries Table (one row per event per webhook, retried with backoff)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sending, delivered, failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,     -- next retry; while sending, when the claim expires
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Watched Tickets Table (tickets that get a "ticket.won" event when a matching
+-- final result is stored; delivered over SSE to holders of the token, and to the
+-- owning webhook if there is one)
+CREATE TABLE IF NOT EXISTS watched_tickets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    ticket VARCHAR(20) NOT NULL,       -- normalised, e.g. "PN 428811" or "428811"
+    draw_date DATE NOT NULL,           -- the draw the ticket was bought for
+    lottery_code VARCHAR(10),          -- which draw on that date (decided by the series if null)
+    token_hash VARCHAR(64) NOT NULL,   -- SHA-256 of the subscriber's token
+    webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+    notified_at TIMESTAMP WITH TIME ZONE, -- when its "ticket.won" was published (once per watch)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_watched_tickets_token ON watched_tickets(token_hash);
+CREATE INDEX IF NOT EXISTS idx_watched_tickets_draw_date ON watched_tickets(draw_date);
@@ -0,0 +1,19 @@
+-- Saved Tickets Table (a user's ticket wallet; user_id is the Supabase Auth user id).
+-- Tickets are checked when a draw on their date is ingested.
+CREATE TABLE IF NOT EXISTS saved_tickets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    ticket VARCHAR(20) NOT NULL,                    -- normalised, e.g. "PN 428811"
+    lottery_code VARCHAR(10),                       -- which draw on that date (decided by the series if null)
+    draw_date DATE NOT NULL,
+    purchase_price NUMERIC(10, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending, won, lost
+    draw_id UUID REFERENCES lottery_draws(id) ON DELETE SET NULL, -- the draw it was checked against
+    prize_name VARCHAR(100),
+    prize_amount NUMERIC(15, 2),
+    checked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_tickets_user ON saved_tickets(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_saved_tickets_draw_date ON saved_tickets(draw_date);
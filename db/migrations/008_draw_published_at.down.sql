@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_lottery_draws_published;
+ALTER TABLE lottery_draws DROP COLUMN IF EXISTS published_at;
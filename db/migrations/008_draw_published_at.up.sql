@@ -0,0 +1,7 @@
+-- When each draw last became final (null while it is held for review). The result
+-- feeds list draws by this, so a draw approved after review shows up as new.
+ALTER TABLE lottery_draws ADD COLUMN IF NOT EXISTS published_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE lottery_draws SET published_at = created_at WHERE status = 'final' AND published_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_lottery_draws_published ON lottery_draws(published_at DESC);
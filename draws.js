@@ -0,0 +1,122 @@
+// Draw queries shared by the API, notifications and wallets
+const pool = require('./db');
+const { cachedDraws } = require('./cache');
+
+// Build a WHERE clause for the common draw filters (from, to, lottery, code)
+// Appends values to params and returns the list of SQL conditions
+function buildDrawFilters(query, params, alias = 'ld') {
+    const conditions = [];
+
+    if (query.from) {
+        params.push(query.from);
+        conditions.push(`${alias}.draw_date >= $${params.length}`);
+    }
+    if (query.to) {
+        params.push(query.to);
+        conditions.push(`${alias}.draw_date <= $${params.length}`);
+    }
+    if (query.lottery) {
+        // Matches any part of the name, e.g. "karunya", "win-win" or "bumper"
+        params.push(`%${query.lottery}%`);
+        conditions.push(`${alias}.lottery_name ILIKE $${params.length}`);
+    }
+    if (query.code) {
+        params.push(String(query.code).toUpperCase());
+        conditions.push(`${alias}.lottery_code = $${params.length}`);
+    }
+
+    return conditions;
+}
+
+// Load every draw on a date with its winning numbers, as [{ draw, winners }].
+// lottery optionally narrows it down by lottery code ("BR") or name ("bumper").
+async function loadDrawsWithWinners(date, lottery = null) {
+    // 1. Find the draws for the date (a bumper can share the day with the weekly lottery)
+    const params = [date];
+    let lotteryFilter = '';
+    if (lottery) {
+        params.push(String(lottery).toUpperCase(), `%${lottery}%`);
+        lotteryFilter = 'AND (lottery_code = $2 OR lottery_name ILIKE $3)';
+    }
+
+    const drawResult = await pool.query(
+        `SELECT id, to_char(draw_date, 'YYYY-MM-DD') AS draw_date, lottery_name, lottery_code, draw_no, pdf_url, status
+         FROM lottery_draws
+         WHERE draw_date = $1 ${lotteryFilter}
+         ORDER BY draw_no`,
+        params
+    );
+
+    // 2. Fetch all winning numbers for each draw
+    const winningQuery = `
+        SELECT wn.series, wn.number, wn.ticket_number as full_winning_ticket,
+               pc.category_name, pc.prize_amount
+        FROM winning_numbers wn
+        JOIN prize_categories pc ON wn.category_id = pc.id
+        WHERE pc.draw_id = $1
+    `;
+
+    const loaded = [];
+    for (const draw of drawResult.rows) {
+        const winners = await pool.query(winningQuery, [draw.id]);
+        loaded.push({ draw, winners: winners.rows });
+    }
+    return loaded;
+}
+
+// Load a draw with its prize categories (highest prize first) and winning numbers
+async function loadDrawDetail(column, value) {
+    const drawResult = await pool.query(
+        `SELECT id, draw_date, lottery_name, lottery_code, draw_no, pdf_url, source_url, pdf_checksum,
+                status, confidence, anomalies
+         FROM lottery_draws WHERE ${column} = $1`,
+        [value]
+    );
+
+    if (drawResult.rows.length === 0) {
+        return null;
+    }
+
+    const draw = drawResult.rows[0];
+    return { ...draw, prize_categories: await loadPrizeCategories(draw.id) };
+}
+
+// A draw's prize categories (highest prize first), each with its winning_numbers
+async function loadPrizeCategories(drawId) {
+    const categories = await pool.query(
+        `SELECT pc.id, pc.category_name, pc.prize_amount,
+                COALESCE(
+                    json_agg(wn.ticket_number ORDER BY wn.ticket_number) FILTER (WHERE wn.id IS NOT NULL),
+                    '[]'
+                ) AS winning_numbers
+         FROM prize_categories pc
+         LEFT JOIN winning_numbers wn ON wn.category_id = pc.id
+         WHERE pc.draw_id = $1
+         GROUP BY pc.id, pc.category_name, pc.prize_amount
+         ORDER BY pc.prize_amount DESC, pc.category_name`,
+        [drawId]
+    );
+    return categories.rows;
+}
+
+// A draw by id through the draw cache
+function getDrawDetail(id) {
+    return cachedDraws(`detail:${id}`, () => loadDrawDetail('id', id), draw => !!draw && draw.status === 'final');
+}
+
+// Whether every draw is final (and there is at least one), so results built from them won't change
+const allFinal = draws => draws.length > 0 && draws.every(draw => draw.status === 'final');
+
+// loadDrawsWithWinners() through the draw cache, for the public API
+function getDrawsWithWinners(date, lottery = null) {
+    return cachedDraws(
+        `winners:${date}:${lottery ? String(lottery).toUpperCase() : ''}`,
+        () => loadDrawsWithWinners(date, lottery),
+        loaded => allFinal(loaded.map(({ draw }) => draw))
+    );
+}
+
+module.exports = {
+    buildDrawFilters, loadDrawsWithWinners, loadDrawDetail, loadPrizeCategories, allFinal,
+    getDrawsWithWinners, getDrawDetail
+};
@@ -0,0 +1,192 @@
+// Machine-readable result exports: draws with their prize categories and winning
+// numbers as CSV or JSON, and RSS/Atom feeds of newly published draws.
+// Date-range exports are read in batches (see exportDraws) so a route can stream
+// the whole archive without holding it in memory.
+const pool = require('./db');
+const { buildDrawFilters, loadPrizeCategories } = require('./draws');
+
+const EXPORT_BATCH_SIZE = 100;
+
+const DRAW_COLUMNS = `ld.id, to_char(ld.draw_date, 'YYYY-MM-DD') AS draw_date, ld.lottery_name, ld.lottery_code,
+                      ld.draw_no, ld.status, ld.pdf_url`;
+
+// A draw row with its categories, in the exported shape
+async function withCategories(draw) {
+    const categories = await loadPrizeCategories(draw.id);
+    return {
+        ...draw,
+        prize_categories: categories.map(c => ({
+            category_name: c.category_name,
+            prize_amount: parseFloat(c.prize_amount),
+            winning_numbers: c.winning_numbers
+        }))
+    };
+}
+
+// One draw for export, or null if it doesn't exist
+async function getExportDraw(id) {
+    const { rows } = await pool.query(`SELECT ${DRAW_COLUMNS} FROM lottery_draws ld WHERE ld.id = $1`, [id]);
+    return rows.length ? withCategories(rows[0]) : null;
+}
+
+// Draws matching the filters (from, to, lottery, code, status), oldest first, one at a time.
+// Reads batchSize draws per query, continuing after the last draw seen, so draws
+// stored while an export runs don't shift the batches.
+async function* exportDraws(filters = {}, { batchSize = EXPORT_BATCH_SIZE } = {}) {
+    let after = null;
+    for (;;) {
+        const params = [];
+        const conditions = buildDrawFilters(filters, params);
+        if (filters.status) {
+            params.push(filters.status);
+            conditions.push(`ld.status = $${params.length}`);
+        }
+        if (after) {
+            params.push(after.draw_date, after.id);
+            conditions.push(`(ld.draw_date > $${params.length - 1}
+                              OR (ld.draw_date = $${params.length - 1} AND ld.id > $${params.length}))`);
+        }
+        params.push(batchSize);
+
+        const { rows } = await pool.query(
+            `SELECT ${DRAW_COLUMNS} FROM lottery_draws ld
+             ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY ld.draw_date, ld.id
+             LIMIT $${params.length}`,
+            params
+        );
+
+        for (const draw of rows) yield withCategories(draw);
+        if (rows.length < batchSize) return;
+        after = rows[rows.length - 1];
+    }
+}
+
+const CSV_COLUMNS = [
+    'draw_id', 'draw_date', 'lottery_code', 'draw_no', 'lottery_name', 'status', 'category', 'prize_amount', 'ticket'
+];
+
+// Quote a CSV field when it needs it (RFC 4180)
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = fields => `${fields.map(csvField).join(',')}\r\n`;
+
+const csvHeader = () => csvLine(CSV_COLUMNS);
+
+// CSV lines for a draw: one per winning number (a category without numbers gets one line with no ticket)
+function drawToCsv(draw) {
+    const drawFields = [draw.id, draw.draw_date, draw.lottery_code, draw.draw_no, draw.lottery_name, draw.status];
+    let csv = '';
+    for (const category of draw.prize_categories) {
+        const tickets = category.winning_numbers.length ? category.winning_numbers : [null];
+        for (const ticket of tickets) {
+            csv += csvLine([...drawFields, category.category_name, category.prize_amount, ticket]);
+        }
+    }
+    return csv;
+}
+
+// ---- Feeds ----
+
+const FEED_TITLE = 'Kerala Lottery Results';
+// Categories listed in a feed entry (the rest are in the linked draw)
+const FEED_CATEGORIES = 3;
+
+// Most recently published draws (final only, newest first by when they became
+// final), for the feeds. Options: limit, code
+async function latestDraws({ limit = 20, code = null } = {}) {
+    const params = [limit];
+    let where = "WHERE ld.status = 'final'";
+    if (code) {
+        params.push(String(code).toUpperCase());
+        where += ' AND ld.lottery_code = $2';
+    }
+
+    const { rows } = await pool.query(
+        `SELECT ${DRAW_COLUMNS}, ld.published_at FROM lottery_draws ld ${where}
+         ORDER BY ld.published_at DESC, ld.draw_date DESC
+         LIMIT $1`,
+        params
+    );
+    const draws = [];
+    for (const draw of rows) draws.push(await withCategories(draw));
+    return draws;
+}
+
+const escapeXml = value => String(value ?? '').replace(/[<>&'"]/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;'
+}[c]));
+
+const formatAmount = amount => `Rs. ${Number(amount).toLocaleString('en-IN')}`;
+
+// Entry text: the top prizes with their winning numbers
+function drawSummary(draw) {
+    return draw.prize_categories
+        .slice(0, FEED_CATEGORIES)
+        .map(c => `${c.category_name} (${formatAmount(c.prize_amount)}): ${c.winning_numbers.join(', ')}`)
+        .join('. ');
+}
+
+const entryTitle = draw => `${draw.lottery_name} - ${draw.draw_date}`;
+
+// RSS 2.0 feed. links: { site, self, draw(id) }
+function rssFeed(draws, links) {
+    const items = draws.map(draw => `
+    <item>
+      <title>${escapeXml(entryTitle(draw))}</title>
+      <link>${escapeXml(links.draw(draw.id))}</link>
+      <guid isPermaLink="false">${draw.id}</guid>
+      <pubDate>${new Date(draw.published_at).toUTCString()}</pubDate>
+      <description>${escapeXml(drawSummary(draw))}</description>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${FEED_TITLE}</title>
+    <link>${escapeXml(links.site)}</link>
+    <atom:link href="${escapeXml(links.self)}" rel="self" type="application/rss+xml"/>
+    <description>Newly published Kerala State Lottery draw results</description>
+    <lastBuildDate>${new Date(draws.length ? draws[0].published_at : Date.now()).toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+// Atom 1.0 feed. links: { site, self, draw(id) }
+function atomFeed(draws, links) {
+    const entries = draws.map(draw => `
+  <entry>
+    <title>${escapeXml(entryTitle(draw))}</title>
+    <link href="${escapeXml(links.draw(draw.id))}"/>
+    <id>urn:uuid:${draw.id}</id>
+    <updated>${new Date(draw.published_at).toISOString()}</updated>
+    <summary>${escapeXml(drawSummary(draw))}</summary>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${FEED_TITLE}</title>
+  <link href="${escapeXml(links.site)}"/>
+  <link href="${escapeXml(links.self)}" rel="self"/>
+  <id>${escapeXml(links.self)}</id>
+  <updated>${new Date(draws.length ? draws[0].published_at : Date.now()).toISOString()}</updated>
+  <author><name>${FEED_TITLE}</name></author>${entries}
+</feed>
+`;
+}
+
+module.exports = {
+    EXPORT_BATCH_SIZE,
+    CSV_COLUMNS,
+    getExportDraw,
+    exportDraws,
+    csvHeader,
+    drawToCsv,
+    latestDraws,
+    rssFeed,
+    atomFeed
+};
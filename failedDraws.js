@@ -0,0 +1,92 @@
+// Queue of draws the scraper couldn't fetch or store. Each failure pushes the
+// next attempt further out; after MAX_ATTEMPTS the draw is marked gave_up and
+// only a manual retry picks it up again. Draws leave the queue once scraped.
+const pool = require('./db');
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MINUTES = 15;
+const RETRY_MAX_MINUTES = 12 * 60;
+
+// Minutes until the next attempt after `attempts` failures: 15, 30, 60, ... capped at 12h
+function retryDelayMinutes(attempts) {
+    return Math.min(RETRY_MAX_MINUTES, RETRY_BASE_MINUTES * 2 ** Math.max(0, attempts - 1));
+}
+
+// Record a failed draw ({ name, date, url, drawNo, code }) and schedule its next attempt
+async function queueFailedDraw(draw, error) {
+    const { rows } = await pool.query(
+        'SELECT attempts FROM failed_draws WHERE lottery_code = $1 AND draw_no = $2',
+        [draw.code, draw.drawNo]
+    );
+    const attempts = (rows.length > 0 ? rows[0].attempts : 0) + 1;
+    const status = attempts >= MAX_ATTEMPTS ? 'gave_up' : 'pending';
+    const nextAttemptAt = status === 'pending' ? new Date(Date.now() + retryDelayMinutes(attempts) * 60000) : null;
+
+    await pool.query(
+        `INSERT INTO failed_draws (lottery_code, draw_no, draw_date, lottery_name, source_url,
+                                   status, attempts, last_error, next_attempt_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (lottery_code, draw_no) DO UPDATE SET
+            draw_date = EXCLUDED.draw_date,
+            lottery_name = EXCLUDED.lottery_name,
+            source_url = EXCLUDED.source_url,
+            status = EXCLUDED.status,
+            attempts = EXCLUDED.attempts,
+            last_error = EXCLUDED.last_error,
+            next_attempt_at = EXCLUDED.next_attempt_at,
+            updated_at = CURRENT_TIMESTAMP`,
+        [draw.code, draw.drawNo, draw.date, draw.name, draw.url, status, attempts, error, nextAttemptAt]
+    );
+    return { attempts, status, nextAttemptAt };
+}
+
+// Remove a draw from the queue once it has been scraped
+async function resolveFailedDraw(draw) {
+    await pool.query('DELETE FROM failed_draws WHERE lottery_code = $1 AND draw_no = $2', [draw.code, draw.drawNo]);
+}
+
+// Queued draws in the scraper's { name, date, url, drawNo, code } shape.
+// By default only pending draws that are due; `all` includes gave_up and future ones.
+async function dueFailedDraws({ all = false } = {}) {
+    const where = all ? '' : "WHERE status = 'pending' AND next_attempt_at <= $1";
+    const { rows } = await pool.query(
+        `SELECT lottery_name AS name, to_char(draw_date, 'YYYY-MM-DD') AS date, source_url AS url,
+                draw_no AS "drawNo", lottery_code AS code
+         FROM failed_draws ${where}
+         ORDER BY draw_date DESC`,
+        all ? [] : [new Date()]
+    );
+    return rows;
+}
+
+async function listFailedDraws({ status } = {}) {
+    const params = [];
+    let where = '';
+    if (status) {
+        params.push(status);
+        where = 'WHERE status = $1';
+    }
+    const result = await pool.query(
+        `SELECT * FROM failed_draws ${where} ORDER BY draw_date DESC, draw_no`,
+        params
+    );
+    return result.rows;
+}
+
+// Queue size by status: { pending, gave_up }
+async function countFailedDraws() {
+    const { rows } = await pool.query('SELECT status, COUNT(*) AS count FROM failed_draws GROUP BY status');
+    const counts = { pending: 0, gave_up: 0 };
+    for (const row of rows) counts[row.status] = parseInt(row.count, 10);
+    return counts;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    retryDelayMinutes,
+    queueFailedDraw,
+    resolveFailedDraw,
+    dueFailedDraws,
+    listFailedDraws,
+    countFailedDraws
+};
@@ -0,0 +1,148 @@
+// HTTP fetching for the scraper: retries with exponential backoff and jitter,
+// a minimum interval between requests to the same host, and a record of each
+// host's health in source_health (reported by GET /api/status).
+const axios = require('axios');
+require('dotenv').config();
+const pool = require('./db');
+
+const DEFAULTS = {
+    retries: parseInt(process.env.SCRAPER_RETRIES, 10) || 3,
+    baseDelayMs: parseInt(process.env.SCRAPER_RETRY_BASE_MS, 10) || 2000,
+    maxDelayMs: 60000,
+    minIntervalMs: parseInt(process.env.SCRAPER_MIN_INTERVAL_MS, 10) || 1500
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay before retry number `attempt` (0-based): exponential, capped, with the
+// upper half jittered so parallel clients don't retry in lockstep
+function backoffDelay(attempt, { baseDelayMs = DEFAULTS.baseDelayMs, maxDelayMs = DEFAULTS.maxDelayMs, random = Math.random } = {}) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+// Timeouts, connection errors, 429 and 5xx are worth retrying; other 4xx aren't
+function isRetryable(err) {
+    if (!err.response) return true;
+    const status = err.response.status;
+    return status === 429 || status >= 500;
+}
+
+// Retry-After header (seconds or HTTP date) in ms, or null
+function retryAfterMs(err) {
+    const header = err.response && err.response.headers && err.response.headers['retry-after'];
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function describeError(err) {
+    return err.response ? `HTTP ${err.response.status}` : (err.code || err.message);
+}
+
+// Record the outcome of a request in source_health. A response of any kind
+// means the host was reached; only a 2xx resets the failure count.
+async function recordSourceContact(host, err) {
+    try {
+        if (!err) {
+            await pool.query(
+                `INSERT INTO source_health (host, last_reached_at, consecutive_failures, updated_at)
+                 VALUES ($1, CURRENT_TIMESTAMP, 0, CURRENT_TIMESTAMP)
+                 ON CONFLICT (host) DO UPDATE SET
+                    last_reached_at = CURRENT_TIMESTAMP, consecutive_failures = 0, updated_at = CURRENT_TIMESTAMP`,
+                [host]
+            );
+        } else {
+            // An error response (4xx/5xx) still means the host answered
+            const reachedAt = err.response ? new Date() : null;
+            await pool.query(
+                `INSERT INTO source_health (host, last_reached_at, last_failure_at, last_error, consecutive_failures, updated_at)
+                 VALUES ($1, $3::timestamptz, CURRENT_TIMESTAMP, $2, 1, CURRENT_TIMESTAMP)
+                 ON CONFLICT (host) DO UPDATE SET
+                    last_reached_at = COALESCE($3::timestamptz, source_health.last_reached_at),
+                    last_failure_at = CURRENT_TIMESTAMP, last_error = $2,
+                    consecutive_failures = source_health.consecutive_failures + 1, updated_at = CURRENT_TIMESTAMP`,
+                [host, describeError(err), reachedAt]
+            );
+        }
+    } catch (dbErr) {
+        // Health tracking must never break a scrape
+        console.error(`Could not record source health for ${host}:`, dbErr.message);
+    }
+}
+
+async function getSourceHealth() {
+    const result = await pool.query('SELECT * FROM source_health ORDER BY host');
+    return result.rows;
+}
+
+// Create a fetcher. request(url, config) defaults to axios.get; tests pass fakes
+// for request, sleep and recordContact.
+function createFetcher({
+    request = axios.get,
+    retries = DEFAULTS.retries,
+    baseDelayMs = DEFAULTS.baseDelayMs,
+    maxDelayMs = DEFAULTS.maxDelayMs,
+    minIntervalMs = DEFAULTS.minIntervalMs,
+    random = Math.random,
+    sleep: wait = sleep,
+    recordContact = recordSourceContact
+} = {}) {
+    const nextSlot = new Map(); // host -> earliest start time of its next request
+
+    // Reserve the host's next slot and wait for it
+    async function waitForHost(host) {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot.get(host) || 0);
+        nextSlot.set(host, slot + minIntervalMs);
+        if (slot > now) await wait(slot - now);
+    }
+
+    async function get(url, config = {}) {
+        const host = new URL(url).host;
+
+        for (let attempt = 0; ; attempt++) {
+            await waitForHost(host);
+            try {
+                const response = await request(url, config);
+                await recordContact(host, null);
+                return response;
+            } catch (err) {
+                await recordContact(host, err);
+                if (attempt >= retries || !isRetryable(err)) throw err;
+
+                const delay = Math.min(maxDelayMs, retryAfterMs(err) ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs, random }));
+                console.warn(`GET ${url} failed (${describeError(err)}), retry ${attempt + 1}/${retries} in ${delay}ms...`);
+                await wait(delay);
+            }
+        }
+    }
+
+    return { get };
+}
+
+let fetcher = null;
+
+// Shared fetcher used by the scraper (created on first use)
+function getFetcher() {
+    if (!fetcher) fetcher = createFetcher();
+    return fetcher;
+}
+
+// Replace the shared fetcher (used by tests)
+function setFetcher(newFetcher) {
+    fetcher = newFetcher;
+}
+
+module.exports = {
+    backoffDelay,
+    isRetryable,
+    retryAfterMs,
+    recordSourceContact,
+    getSourceHealth,
+    createFetcher,
+    getFetcher,
+    setFetcher
+};
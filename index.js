@@ -1,55 +1,326 @@
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const helmet = require('helmet');
 const path = require('path');
 require('dotenv').config();
+const { parseTicketInput, expandTicketRange, evaluateTicket, selectDrawsForTicket } = require('./matcher');
+const pool = require('./db');
+const { buildDrawFilters, allFinal, getDrawsWithWinners, getDrawDetail } = require('./draws');
+const { setCacheHeaders } = require('./cache');
+const { createRateLimiter } = require('./rateLimit');
+const {
+    UUID_REGEX, isValidDate, validateQuery, DRAW_FILTERS, PAGINATION
+} = require('./validation');
+const { extractDrawNo, SOURCE_HOST } = require('./scraper');
+const { startScheduler } = require('./scheduler');
+const { failInterruptedJobs, getRunningJob, lastSuccessfulJob } = require('./jobs');
+const { getSourceHealth } = require('./fetcher');
+const { countFailedDraws } = require('./failedDraws');
+const { calculatePrize } = require('./prize');
+const { getRecognizer, parseTicketText, needsConfirmation } = require('./ocr');
+const {
+    subscribe, eventsSince, formatSseEvent, hashWatchToken,
+    parseWatchRequest, createWatches, listWatches, deleteWatch
+} = require('./notifications');
+const adminRoutes = require('./routes/admin');
+const walletRoutes = require('./routes/wallet');
+const statsRoutes = require('./routes/stats');
+const exportRoutes = require('./routes/exports');
 
 const app = express();
 
+// Behind a proxy (TRUST_PROXY=1, a number of hops or an address list) req.ip is the client's IP
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API (every origin when unset)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+// PDFs under /public are opened from the frontend's origin, so allow cross-origin embedding
+app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
+app.use(cors(corsOrigins.length ? { origin: corsOrigins } : {}));
 app.use(express.json());
 app.use('/public', express.static(path.join(__dirname, 'public'))); // Serve PDFs
 
-// Database Connection
-if (!process.env.DATABASE_URL) {
-    console.error('CRITICAL ERROR: DATABASE_URL is not defined in environment variables.');
-    console.error('Please create a .env file in the backend directory with your Supabase connection string.');
-    process.exit(1);
-}
-
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false } // Required for Supabase
+// Health Check: source reachability, last successful scrape and the failed-draw queue.
+// "degraded" means the last request to the result site failed or draws are waiting for a retry.
+app.get(['/', '/api/status'], async (req, res) => {
+    try {
+        const [sources, lastJob, queue] = await Promise.all([getSourceHealth(), lastSuccessfulJob(), countFailedDraws()]);
+        const source = sources.find(s => s.host === SOURCE_HOST);
+
+        const degraded = (source && source.consecutive_failures > 0) || queue.pending > 0 || queue.gave_up > 0;
+        res.json({
+            success: true,
+            data: {
+                status: degraded ? 'degraded' : 'ok',
+                uptimeSeconds: Math.round(process.uptime()),
+                source: {
+                    host: SOURCE_HOST,
+                    lastReachedAt: source ? source.last_reached_at : null,
+                    lastFailureAt: source ? source.last_failure_at : null,
+                    lastError: source ? source.last_error : null,
+                    consecutiveFailures: source ? source.consecutive_failures : 0
+                },
+                lastSuccessfulScrape: lastJob && {
+                    jobId: lastJob.id,
+                    jobType: lastJob.job_type,
+                    finishedAt: lastJob.finished_at,
+                    drawsInserted: lastJob.draws_inserted
+                },
+                runningJobId: getRunningJob(),
+                pendingDraws: queue.pending,
+                abandonedDraws: queue.gave_up
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching status:', err);
+        res.status(503).json({ success: false, message: 'Database unavailable', data: { status: 'down' } });
+    }
 });
 
-// Health Check
-app.get('/', (req, res) => {
-    res.send('Kerala Lottery API is running. Service Status: Operational.');
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Get Draws (newest first, paginated)
+// Query: page, limit, from, to, lottery, code
+app.get('/api/draws', validateQuery({ ...PAGINATION, ...DRAW_FILTERS }), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const params = [];
+    const conditions = buildDrawFilters(req.query, params);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM lottery_draws ld ${where}`, params);
+        const total = countResult.rows[0].total;
+
+        const result = await pool.query(
+            `SELECT ld.id, ld.draw_date, ld.lottery_name, ld.lottery_code, ld.draw_no, ld.pdf_url, ld.status
+             FROM lottery_draws ld ${where}
+             ORDER BY ld.draw_date DESC, ld.draw_no DESC, ld.id
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({
+            success: true,
+            data: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching draws:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
 });
 
-// Get Recent Draws
-app.get('/api/draws', async (req, res) => {
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Lottery Catalogue (one entry per lottery code seen in lottery_draws)
+app.get('/api/lotteries', async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT id, draw_date, lottery_name, draw_no, pdf_url FROM lottery_draws ORDER BY draw_date DESC LIMIT 30'
+            `SELECT lottery_name, lottery_code, draw_no, draw_date, EXTRACT(DOW FROM draw_date)::int AS weekday
+             FROM lottery_draws
+             ORDER BY draw_date DESC`
         );
 
-        const data = result.rows.map(draw => ({
-            ...draw,
-            pdf_url: draw.pdf_url
-        }));
+        const lotteries = new Map();
+        for (const draw of result.rows) {
+            const drawNo = draw.draw_no || extractDrawNo(draw.lottery_name);
+            const code = draw.lottery_code;
+
+            if (!lotteries.has(code)) {
+                // Rows are newest first, so the first row seen is the latest draw
+                lotteries.set(code, {
+                    code,
+                    name: draw.lottery_name.replace(/\(?\s*[A-Z]+-\d+\s*\)?/, '').trim(),
+                    latestDrawNo: drawNo,
+                    latestDrawDate: draw.draw_date,
+                    drawCount: 0,
+                    weekdayCounts: new Array(7).fill(0)
+                });
+            }
+
+            const lottery = lotteries.get(code);
+            lottery.drawCount++;
+            lottery.weekdayCounts[draw.weekday]++;
+        }
+
+        const data = [...lotteries.values()].map(({ weekdayCounts, ...lottery }) => {
+            // Regular lotteries are drawn on a fixed weekday; bumpers won't have a clear one
+            const max = Math.max(...weekdayCounts);
+            return {
+                ...lottery,
+                weekday: max / lottery.drawCount > 0.5 ? WEEKDAYS[weekdayCounts.indexOf(max)] : null
+            };
+        });
 
         res.json({ success: true, data });
     } catch (err) {
-        console.error('Error fetching draws:', err);
+        console.error('Error fetching lotteries:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Get Draw Result Sheets by date (YYYY-MM-DD). Returns every draw held that day,
+// e.g. a bumper and the weekly lottery. Query: lottery, code
+app.get('/api/draws/by-date/:date', validateQuery(DRAW_FILTERS), async (req, res) => {
+    if (!isValidDate(req.params.date)) {
+        return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format.' });
+    }
+
+    const params = [req.params.date];
+    const conditions = ['ld.draw_date = $1', ...buildDrawFilters(req.query, params)];
+
+    try {
+        const draws = await pool.query(
+            `SELECT ld.id FROM lottery_draws ld WHERE ${conditions.join(' AND ')} ORDER BY ld.draw_no`,
+            params
+        );
+        if (draws.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'No draw found for this date.' });
+        }
+
+        const data = [];
+        for (const { id } of draws.rows) {
+            data.push(await getDrawDetail(id));
+        }
+        setCacheHeaders(res, allFinal(data));
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching draw by date:', err);
         res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
 });
 
+// Get Draw Result Sheet by id
+app.get('/api/draws/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Draw not found.' });
+    }
+
+    try {
+        const data = await getDrawDetail(req.params.id);
+        if (!data) {
+            return res.status(404).json({ success: false, message: 'Draw not found.' });
+        }
+        setCacheHeaders(res, data.status === 'final');
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching draw:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Result label for an evaluated ticket
+const resultOf = ({ claimablePrize, possiblePrizes }) =>
+    (claimablePrize ? 'WIN' : possiblePrizes.length > 0 ? 'POSSIBLE_WIN' : 'NO_WIN');
+
+// Check a parsed ticket against the draws loaded for a date (see getDrawsWithWinners).
+// Returns the /api/check response body.
+function checkTicket(loaded, input) {
+    if (loaded.length === 0) {
+        return {
+            success: true,
+            found: false,
+            message: 'No results found for this date. Results are usually published after 3:00 PM.'
+        };
+    }
+
+    // Check the ticket against the draw(s) it can belong to and report the best outcome
+    const outcomes = selectDrawsForTicket(input, loaded)
+        .map(({ draw, winners }) => ({ draw, ...evaluateTicket(input, winners) }));
+    const wins = outcomes
+        .filter(o => o.claimablePrize)
+        .sort((a, b) => parseFloat(b.claimablePrize.prizeAmount) - parseFloat(a.claimablePrize.prizeAmount));
+    const best = wins[0] || outcomes.find(o => o.possiblePrizes.length > 0) || outcomes[0];
+
+    const { draw, prizes, claimablePrize, possiblePrizes } = best;
+    const drawsChecked = outcomes.map(o => ({
+        drawId: o.draw.id,
+        lotteryName: o.draw.lottery_name,
+        drawNo: o.draw.draw_no,
+        result: resultOf(o)
+    }));
+
+    // Return result
+    if (claimablePrize) {
+        return {
+            success: true,
+            found: true,
+            result: 'WIN',
+            data: {
+                drawId: draw.id,
+                lotteryName: draw.lottery_name,
+                drawNo: draw.draw_no,
+                prizeName: claimablePrize.prizeName,
+                prizeAmount: claimablePrize.prizeAmount,
+                winningTicket: claimablePrize.winningTicket,
+                payout: calculatePrize(claimablePrize.prizeAmount, draw.draw_date),
+                prizes,
+                possiblePrizes,
+                pdfUrl: draw.pdf_url,
+                provisional: draw.status === 'needs_review',
+                drawsChecked
+            }
+        };
+    }
+
+    if (possiblePrizes.length > 0) {
+        // Number matches a series-based prize but the user didn't give the series
+        return {
+            success: true,
+            found: true,
+            result: 'POSSIBLE_WIN',
+            message: 'Your number matches a winning ticket. Enter the series letters to confirm the prize.',
+            data: {
+                drawId: draw.id,
+                lotteryName: draw.lottery_name,
+                drawNo: draw.draw_no,
+                prizes,
+                possiblePrizes,
+                pdfUrl: draw.pdf_url,
+                provisional: draw.status === 'needs_review',
+                drawsChecked
+            }
+        };
+    }
+
+    return {
+        success: true,
+        found: true,
+        result: 'NO_WIN',
+        data: {
+            drawId: draw.id,
+            lotteryName: draw.lottery_name,
+            drawNo: draw.draw_no,
+            pdfUrl: draw.pdf_url,
+            provisional: draw.status === 'needs_review',
+            drawsChecked
+        }
+    };
+}
+
+// Every ticket check route shares one per-IP limit (CHECK_RATE_LIMIT per CHECK_RATE_WINDOW_MS)
+app.use('/api/check', createRateLimiter());
+
+const TICKET_PARAM = { type: 'string', maxLength: 30 };
+const checkQuery = validateQuery({ date: { type: 'date' }, ticket: TICKET_PARAM, lottery: DRAW_FILTERS.lottery });
+
 // Check Result Endpoint
-app.get('/api/check', async (req, res) => {
-    const { date, ticket } = req.query;
+// Query: date, ticket, and optionally lottery (code or name) on days with several draws
+app.get('/api/check', checkQuery, async (req, res) => {
+    const { date, ticket, lottery } = req.query;
 
     if (!date || !ticket) {
         return res.status(400).json({
@@ -58,167 +329,458 @@ app.get('/api/check', async (req, res) => {
         });
     }
 
-    // Clean ticket input (remove spaces, uppercase)
-    const cleanTicket = ticket.replace(/\s+/g, '').toUpperCase();
-
-    // Extract potential parts: Series (2 letters) + Number (digits)
     // Supports formats: GB6789012, 987654, 8765
-    const ticketMatch = cleanTicket.match(/^([A-Z]{0,2})(\d+)$/);
-    if (!ticketMatch) {
-        return res.status(400).json({ 
-            success: false, 
-            message: 'Invalid ticket format. Please enter letters (optional) followed by digits.' 
-        });
+    const input = parseTicketInput(ticket);
+    if (input.error) {
+        return res.status(400).json({ success: false, message: input.error });
     }
 
-    const inputSeries = ticketMatch[1] || null; // e.g. "GB" or null
-    const inputNumber = ticketMatch[2]; // e.g. "6789012" or "987654" or "8765"
-
-    // Validate number length: minimum 4 digits, maximum 9 digits
-    if (inputNumber.length < 4 || inputNumber.length > 9) {
-        return res.status(400).json({ 
-            success: false, 
-            message: 'Ticket number must be between 4 and 9 digits.' 
-        });
+    try {
+        const loaded = await getDrawsWithWinners(date, lottery);
+        setCacheHeaders(res, allFinal(loaded.map(({ draw }) => draw)));
+        res.json(checkTicket(loaded, input));
+    } catch (err) {
+        console.error('Error checking result:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
+});
 
-    // Extract last 4 digits for consolation prize checking
-    const last4Digits = inputNumber.slice(-4);
+const TICKET_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'];
+
+// Lottery codes with a name (without the draw number) for recognising ticket photos
+async function knownLotteries() {
+    const result = await pool.query(
+        'SELECT lottery_code, MAX(lottery_name) AS lottery_name FROM lottery_draws GROUP BY lottery_code'
+    );
+    return result.rows.map(row => ({
+        code: row.lottery_code,
+        name: row.lottery_name.replace(/\(?\s*[A-Z]+-\d+\s*\)?/, '').trim()
+    }));
+}
 
+// Check a ticket from a photo. Body: the image (Content-Type image/jpeg, png, webp or bmp).
+// Query: date and lottery, to override what was read from the ticket.
+// OCR runs on this server. The response adds the recognised fields with their confidence;
+// when needsConfirmation is true the UI should let the user confirm or correct them.
+app.post('/api/check/image', checkQuery, express.raw({ type: TICKET_IMAGE_TYPES, limit: '8mb' }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({
+            success: false,
+            message: `Send the ticket photo as the request body (${TICKET_IMAGE_TYPES.join(', ')}).`
+        });
+    }
     try {
-        // 1. Find the draw for the date
-        const drawResult = await pool.query(
-            'SELECT id, lottery_name, draw_no, pdf_url FROM lottery_draws WHERE draw_date = $1',
-            [date]
-        );
+        const recognised = parseTicketText(await getRecognizer().recognize(req.body), await knownLotteries());
+        const confirm = needsConfirmation(recognised);
+
+        if (!recognised.ticket) {
+            return res.status(422).json({
+                success: false,
+                message: 'Could not read the ticket number from the photo. Try a sharper photo or enter it manually.',
+                data: { recognised, needsConfirmation: true }
+            });
+        }
+
+        // The printed draw number identifies the draw; fall back to the printed date
+        let date = req.query.date || null;
+        let lottery = req.query.lottery || null;
+        if (recognised.drawNo) {
+            const draw = await pool.query(
+                `SELECT to_char(draw_date, 'YYYY-MM-DD') AS draw_date, lottery_code FROM lottery_draws
+                 WHERE lottery_code = $1 AND draw_no = $2`,
+                [recognised.lotteryCode, recognised.drawNo.value]
+            );
+            if (draw.rows.length > 0) {
+                date = date || draw.rows[0].draw_date;
+                lottery = lottery || draw.rows[0].lottery_code;
+            }
+        }
+        date = date || (recognised.date && recognised.date.value);
 
-        if (drawResult.rows.length === 0) {
+        if (!date) {
             return res.json({
                 success: true,
                 found: false,
-                message: 'No results found for this date. Results are usually published after 3:00 PM.'
+                message: 'Could not read the draw date from the photo. Confirm the date to check this ticket.',
+                data: { recognised, needsConfirmation: true }
             });
         }
 
-        const draw = drawResult.rows[0];
+        if (!isValidDate(date)) {
+            return res.json({
+                success: true,
+                found: false,
+                message: 'The draw date read from the photo is not a valid date. Confirm the date to check this ticket.',
+                data: { recognised, needsConfirmation: true }
+            });
+        }
 
-        // 2. Fetch all winning numbers for this draw
-        const winningQuery = `
-            SELECT wn.series, wn.number, wn.ticket_number as full_winning_ticket,
-                   pc.category_name, pc.prize_amount
-            FROM winning_numbers wn
-            JOIN prize_categories pc ON wn.category_id = pc.id
-            WHERE pc.draw_id = $1
-        `;
+        const result = checkTicket(await getDrawsWithWinners(date, lottery), parseTicketInput(recognised.ticket));
+        res.json({
+            ...result,
+            recognised,
+            needsConfirmation: confirm,
+            checkedWith: { date, ticket: recognised.ticket, lottery }
+        });
+    } catch (err) {
+        console.error('Error checking ticket image:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
 
-        const winners = await pool.query(winningQuery, [draw.id]);
+// Bulk Check Endpoint (for agents checking whole ticket books)
+// Body: { date | dates: [...], tickets: ["GB 100000", "GB 100000-GB 100099", ...], lottery? }
+const MAX_BULK_TICKETS = 1000;
+const MAX_BULK_DATES = 10;
 
-        let bestWin = null;
+app.post('/api/check/bulk', async (req, res) => {
+    const body = req.body || {};
+    const dates = [...new Set(Array.isArray(body.dates) ? body.dates : [body.date].filter(Boolean))];
+    const entries = Array.isArray(body.tickets) ? body.tickets : [];
 
-        // Check each winning number against the input
-        for (const win of winners.rows) {
-            const winNum = win.number;
-            const winSeries = win.series;
-            let isMatch = false;
+    if (dates.length === 0 || entries.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please provide at least one draw date and a list of tickets or ticket ranges.'
+        });
+    }
 
-            // MATCHING STRATEGY (3 levels):
-            // 1. Full match with series (if user provided series): inputSeries + inputNumber === winSeries + winNum
-            // 2. Number-only match: inputNumber === winNum (ignoring series)
-            // 3. Last 4 digits match: last4Digits === last 4 of winNum
+    if (dates.length > MAX_BULK_DATES) {
+        return res.status(400).json({
+            success: false,
+            message: `A maximum of ${MAX_BULK_DATES} draw dates can be checked at once.`
+        });
+    }
 
-            // Level 1: Full match with series
-            if (inputSeries && winSeries) {
-                if (inputSeries === winSeries && inputNumber === winNum) {
-                    isMatch = true;
-                }
-            }
+    const badDate = dates.find(date => !isValidDate(date));
+    if (badDate !== undefined) {
+        return res.status(400).json({ success: false, message: `${badDate}: dates must be in YYYY-MM-DD format.` });
+    }
 
-            // Level 2: Number-only match (when user doesn't provide series OR winner has no series)
-            if (!isMatch) {
-                if (inputNumber === winNum) {
-                    // If winner has a series but user didn't provide one, still match on number
-                    // This handles cases where user types only digits
-                    isMatch = true;
-                }
-            }
+    // Same rule as the lottery query filter (DRAW_FILTERS.lottery)
+    const { lottery } = body;
+    const maxLottery = DRAW_FILTERS.lottery.maxLength;
+    if (lottery !== undefined && lottery !== null && (typeof lottery !== 'string' || lottery.length > maxLottery)) {
+        return res.status(400).json({
+            success: false,
+            message: `lottery must be a lottery name or code of at most ${maxLottery} characters.`
+        });
+    }
 
-            // Level 3: Last 4 digits match (for consolation prizes)
-            if (!isMatch) {
-                const winLast4 = winNum.slice(-4);
-                if (last4Digits === winLast4) {
-                    isMatch = true;
-                }
+    const tooManyTickets = () => res.status(400).json({
+        success: false,
+        message: `A maximum of ${MAX_BULK_TICKETS} tickets can be checked at once.`
+    });
+
+    // Expand ranges and validate every ticket before touching the database.
+    // Ranges only get what is left of the ticket limit, so no request expands past it.
+    const tickets = [];
+    for (const entry of entries) {
+        const remaining = MAX_BULK_TICKETS - tickets.length;
+        if (remaining <= 0) return tooManyTickets();
+
+        let expanded = [entry];
+        if (/[-–—]/.test(String(entry))) {
+            const range = expandTicketRange(entry, remaining);
+            if (range.error) {
+                return res.status(400).json({ success: false, message: range.error });
             }
+            expanded = range.tickets;
+        }
 
-            // If we found a match, check if it's the best prize so far
-            if (isMatch) {
-                if (!bestWin || parseFloat(win.prize_amount) > parseFloat(bestWin.prize_amount)) {
-                    bestWin = win;
-                }
+        for (const ticket of expanded) {
+            const input = parseTicketInput(ticket);
+            if (input.error) {
+                return res.status(400).json({ success: false, message: `${ticket}: ${input.error}` });
             }
+            tickets.push({ ticket: input.series ? `${input.series} ${input.number}` : input.number, input });
         }
+    }
 
-        // Return result
-        if (bestWin) {
-            const fullPdfUrl = draw.pdf_url;
+    try {
+        const draws = [];
+        const results = [];
+        let totalWinnings = 0;
+        const winningTickets = new Set(); // a ticket can win in more than one draw
+
+        for (const date of dates) {
+            // Winning numbers are loaded once per draw and reused for every ticket
+            const loaded = await getDrawsWithWinners(date, lottery);
+
+            if (loaded.length === 0) {
+                draws.push({ date, found: false });
+                continue;
+            }
 
-            return res.json({
-                success: true,
-                found: true,
-                result: 'WIN',
-                data: {
+            for (const { draw } of loaded) {
+                draws.push({
+                    date,
+                    found: true,
+                    drawId: draw.id,
                     lotteryName: draw.lottery_name,
                     drawNo: draw.draw_no,
-                    prizeName: bestWin.category_name,
-                    prizeAmount: bestWin.prize_amount,
-                    winningTicket: bestWin.full_winning_ticket,
-                    pdfUrl: fullPdfUrl
+                    pdfUrl: draw.pdf_url,
+                    provisional: draw.status === 'needs_review'
+                });
+            }
+
+            for (const { ticket, input } of tickets) {
+                for (const { draw, winners } of selectDrawsForTicket(input, loaded)) {
+                    const evaluated = evaluateTicket(input, winners);
+                    const { prizes, claimablePrize, possiblePrizes } = evaluated;
+                    const result = { ticket, date, drawNo: draw.draw_no, result: resultOf(evaluated) };
+
+                    if (claimablePrize) {
+                        winningTickets.add(ticket);
+                        totalWinnings += parseFloat(claimablePrize.prizeAmount);
+                        results.push({
+                            ...result,
+                            prizeName: claimablePrize.prizeName,
+                            prizeAmount: claimablePrize.prizeAmount,
+                            winningTicket: claimablePrize.winningTicket,
+                            payout: calculatePrize(claimablePrize.prizeAmount, draw.draw_date),
+                            prizes,
+                            possiblePrizes
+                        });
+                    } else if (possiblePrizes.length > 0) {
+                        results.push({ ...result, prizes, possiblePrizes });
+                    } else {
+                        results.push(result);
+                    }
                 }
-            });
-        } else {
-            const fullPdfUrl = draw.pdf_url;
+            }
+        }
 
-            return res.json({
-                success: true,
-                found: true,
-                result: 'NO_WIN',
-                data: {
-                    lotteryName: draw.lottery_name,
-                    drawNo: draw.draw_no,
-                    pdfUrl: fullPdfUrl
+        res.json({
+            success: true,
+            data: {
+                draws,
+                results,
+                summary: {
+                    ticketsChecked: tickets.length,
+                    drawsChecked: draws.filter(d => d.found).length,
+                    winningTickets: winningTickets.size,
+                    totalWinnings
                 }
+            }
+        });
+    } catch (err) {
+        console.error('Error checking bulk results:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Historical Ticket Search (across all draws, newest first)
+// Query: ticket, plus the optional from, to, lottery and code draw filters
+app.get('/api/search', validateQuery({ ticket: TICKET_PARAM, ...DRAW_FILTERS }), async (req, res) => {
+    const { ticket } = req.query;
+
+    if (!ticket) {
+        return res.status(400).json({ success: false, message: 'Please provide a ticket number.' });
+    }
+
+    const input = parseTicketInput(ticket);
+    if (input.error) {
+        return res.status(400).json({ success: false, message: input.error });
+    }
+
+    // Every matching rule needs the last 4 digits to agree, so the last-4 index
+    // narrows the search to candidate rows and evaluateTicket applies the real rules
+    const params = [input.last4];
+    const conditions = ['RIGHT(wn.number, 4) = $1', ...buildDrawFilters(req.query, params)];
+
+    try {
+        const candidates = await pool.query(
+            `SELECT ld.id AS draw_id, ld.draw_date, ld.lottery_name, ld.draw_no, ld.pdf_url, ld.status,
+                    wn.series, wn.number, wn.ticket_number as full_winning_ticket,
+                    pc.category_name, pc.prize_amount
+             FROM winning_numbers wn
+             JOIN prize_categories pc ON wn.category_id = pc.id
+             JOIN lottery_draws ld ON pc.draw_id = ld.id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY ld.draw_date DESC`,
+            params
+        );
+
+        // Group candidate rows per draw (rows are already newest first)
+        const draws = new Map();
+        for (const row of candidates.rows) {
+            if (!draws.has(row.draw_id)) {
+                draws.set(row.draw_id, { draw: row, winners: [] });
+            }
+            draws.get(row.draw_id).winners.push(row);
+        }
+
+        const matches = [];
+        for (const { draw, winners } of draws.values()) {
+            const { prizes, claimablePrize, possiblePrizes } = evaluateTicket(input, winners);
+            if (!claimablePrize && possiblePrizes.length === 0) continue;
+
+            matches.push({
+                drawId: draw.draw_id,
+                drawDate: draw.draw_date,
+                lotteryName: draw.lottery_name,
+                drawNo: draw.draw_no,
+                pdfUrl: draw.pdf_url,
+                provisional: draw.status === 'needs_review',
+                result: claimablePrize ? 'WIN' : 'POSSIBLE_WIN',
+                prizeName: claimablePrize ? claimablePrize.prizeName : null,
+                prizeAmount: claimablePrize ? claimablePrize.prizeAmount : null,
+                prizes,
+                possiblePrizes
             });
         }
 
+        res.json({ success: true, data: { ticket: input.series ? `${input.series} ${input.number}` : input.number, matches } });
     } catch (err) {
-        console.error('Error checking result:', err);
+        console.error('Error searching ticket history:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Net prize calculator: agent commission, income tax, surcharge and cess, plus the
+// claim deadline and office. Query: amount, date (draw date, defaults to today;
+// the tax rules in force on that date are used)
+app.get('/api/prize/net', validateQuery({ amount: { type: 'number' }, date: { type: 'date' } }), (req, res) => {
+    const amount = Number(req.query.amount);
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+
+    if (!req.query.amount || !(amount > 0)) {
+        return res.status(400).json({ success: false, message: 'amount must be a positive number.' });
+    }
+
+    try {
+        res.json({ success: true, data: calculatePrize(amount, date) });
+    } catch (err) {
+        console.error('Error calculating prize:', err);
         res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
 });
 
-const { startScheduler, scrapeLatestDraw, scrapeDraws } = require('./scraper');
+// Live ingestion events as Server-Sent Events ("draw.ingested", "ticket.won").
+// Query: watch (comma-separated watch tokens) to also receive "ticket.won" for those watches.
+// Reconnecting clients get the events they missed via the Last-Event-ID header.
+app.get('/api/events', validateQuery({ watch: { type: 'string', maxLength: 2000 } }), (req, res) => {
+    const tokens = String(req.query.watch || '').split(',').map(t => t.trim()).filter(Boolean);
+    const tokenHashes = new Set(tokens.map(hashWatchToken));
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // don't let a proxy buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 10000\n\n');
+
+    const send = (event, tokenHash) => {
+        if (tokenHash && !tokenHashes.has(tokenHash)) return;
+        res.write(formatSseEvent(event));
+    };
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+        for (const { event, tokenHash } of eventsSince(lastEventId)) send(event, tokenHash);
+    }
+
+    const unsubscribe = subscribe(send);
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// Watch tickets for a draw date and get notified if one wins.
+// Body: { ticket | tickets: [...], date: "YYYY-MM-DD", lottery?: code }
+// Returns a token for GET /api/events?watch=<token> and for managing the watches.
+app.post('/api/watches', async (req, res) => {
+    const parsed = parseWatchRequest(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    try {
+        const data = await createWatches(parsed);
+        res.status(201).json({
+            success: true,
+            message: 'Keep the token: it is only shown once and is needed to receive and remove these watches.',
+            data
+        });
+    } catch (err) {
+        console.error('Error creating watches:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
 
-// Start the scheduler
-startScheduler();
+// Watches for the token in the X-Watch-Token header
+app.get('/api/watches', async (req, res) => {
+    const token = req.get('X-Watch-Token');
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'X-Watch-Token header is required.' });
+    }
 
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-    console.log(`Server listening on port ${PORT}`);
+    try {
+        const data = await listWatches(token);
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching watches:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
 });
 
-// Admin endpoint to manually trigger scrape
-app.get('/api/admin/trigger-scrape', async (req, res) => {
+app.delete('/api/watches/:id', async (req, res) => {
+    const token = req.get('X-Watch-Token');
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'X-Watch-Token header is required.' });
+    }
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Watch not found.' });
+    }
+
     try {
-        const { all } = req.query;
-        if (all === 'true') {
-            console.log('Manual FULL scrape triggered by admin...');
-            scrapeDraws(); // Scrapes everything on page not in DB
-        } else {
-            console.log('Manual LATEST scrape triggered by admin...');
-            scrapeLatestDraw();
+        if (!await deleteWatch(req.params.id, token)) {
+            return res.status(404).json({ success: false, message: 'Watch not found.' });
         }
-        res.json({ success: true, message: 'Scraping job started in background.' });
+        res.json({ success: true, message: 'Watch removed.' });
     } catch (err) {
-        res.status(500).json({ success: false, message: err.message });
+        console.error('Error deleting watch:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
 });
+
+// Statistics over historical results
+app.use('/api/stats', statsRoutes);
+
+// CSV/JSON exports and RSS/Atom feeds of results
+app.use('/api/export', exportRoutes);
+
+// Saved-ticket wallet (Supabase Auth session required)
+app.use('/api/wallet', walletRoutes);
+
+// Admin API (API key / bearer token protected)
+app.use('/api/admin', adminRoutes);
+
+// Start the server only when run directly (tests import the app without side effects)
+if (require.main === module) {
+    // Database Connection
+    if (!process.env.DATABASE_URL) {
+        console.error('CRITICAL ERROR: DATABASE_URL is not defined in environment variables.');
+        console.error('Please create a .env file in the backend directory with your Supabase connection string.');
+        process.exit(1);
+    }
+
+    // Jobs left "running" by a previous process will never finish
+    failInterruptedJobs().catch(err => console.error('Could not clean up interrupted jobs:', err.message));
+
+    // Start the scheduler
+    startScheduler();
+
+    const PORT = process.env.PORT || 10000;
+    app.listen(PORT, () => {
+        console.log(`Server listening on port ${PORT}`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,44 @@
+// Create or upgrade the database schema from db/migrations.
+//
+//   npm run init-db                  apply every pending migration
+//   npm run init-db -- --to 002      apply pending migrations up to and including 002
+//   npm run init-db -- --down [n]    roll back the last n migrations (default 1)
+//   npm run init-db -- --status      list migrations and whether they're applied
+require('dotenv').config();
+const pool = require('./db');
+const { migrateUp, migrateDown, migrationStatus } = require('./migrate');
+
+function argValue(args, flag) {
+    const i = args.indexOf(flag);
+    return i !== -1 && args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : null;
+}
+
+async function main(args) {
+    if (!process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL is not defined in environment variables.');
+    }
+
+    if (args.includes('--status')) {
+        for (const m of await migrationStatus()) {
+            console.log(`${m.applied ? '[x]' : '[ ]'} ${m.version}_${m.name}`);
+        }
+        return;
+    }
+
+    if (args.includes('--down')) {
+        const steps = parseInt(argValue(args, '--down') || '1', 10);
+        const rolledBack = await migrateDown({ steps });
+        console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s).` : 'Nothing to roll back.');
+        return;
+    }
+
+    const applied = await migrateUp({ to: argValue(args, '--to') });
+    console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+}
+
+main(process.argv.slice(2))
+    .catch(err => {
+        console.error('Database initialisation failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,107 @@
+// Scrape job tracking: every scrape run is recorded in scrape_jobs with its
+// status, timings and draw counts. Only one job can run at a time.
+const pool = require('./db');
+
+let runningJob = null;
+
+// Currently running job id (null when idle)
+function getRunningJob() {
+    return runningJob;
+}
+
+// Mark jobs left "running" by a previous process (crash or restart) as failed
+async function failInterruptedJobs() {
+    const result = await pool.query(
+        `UPDATE scrape_jobs
+         SET status = 'failed', finished_at = CURRENT_TIMESTAMP,
+             errors = errors || '["Interrupted by server restart"]'::jsonb
+         WHERE status = 'running'`
+    );
+    if (result.rowCount > 0) {
+        console.log(`Marked ${result.rowCount} interrupted scrape job(s) as failed.`);
+    }
+}
+
+// Start a job in the background. task() resolves to scraper stats
+// ({ found, inserted, failed, errors, fatal }). Returns { job, done }, or
+// null if another job is already running.
+async function startJob(type, triggeredBy, params, task) {
+    if (runningJob) return null;
+    runningJob = 'starting'; // Claim the slot before the first await
+
+    let job;
+    try {
+        const result = await pool.query(
+            `INSERT INTO scrape_jobs (job_type, triggered_by, params)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+            [type, triggeredBy, params || {}]
+        );
+        job = result.rows[0];
+        runningJob = job.id;
+    } catch (err) {
+        runningJob = null;
+        throw err;
+    }
+
+    const done = (async () => {
+        let status = 'failed';
+        let stats = { found: 0, inserted: 0, failed: 0, errors: [] };
+        try {
+            stats = { ...stats, ...(await task()) };
+            if (stats.fatal) status = 'failed';
+            else status = stats.failed > 0 ? 'partial' : 'succeeded';
+        } catch (err) {
+            stats.errors = [...stats.errors, err.message];
+        }
+
+        try {
+            await pool.query(
+                `UPDATE scrape_jobs
+                 SET status = $2, finished_at = CURRENT_TIMESTAMP,
+                     draws_found = $3, draws_inserted = $4, draws_failed = $5, errors = $6
+                 WHERE id = $1`,
+                [job.id, status, stats.found, stats.inserted, stats.failed, JSON.stringify(stats.errors)]
+            );
+        } catch (err) {
+            console.error(`Failed to record result of job ${job.id}:`, err.message);
+        } finally {
+            runningJob = null;
+        }
+        return status;
+    })();
+
+    return { job, done };
+}
+
+async function listJobs({ status, limit = 20, offset = 0 } = {}) {
+    const params = [];
+    let where = '';
+    if (status) {
+        params.push(status);
+        where = 'WHERE status = $1';
+    }
+    const result = await pool.query(
+        `SELECT * FROM scrape_jobs ${where}
+         ORDER BY started_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+    return result.rows;
+}
+
+async function getJob(id) {
+    const result = await pool.query('SELECT * FROM scrape_jobs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+}
+
+// Most recent job that finished without errors (null if none has)
+async function lastSuccessfulJob() {
+    const result = await pool.query(
+        `SELECT * FROM scrape_jobs WHERE status = 'succeeded'
+         ORDER BY finished_at DESC LIMIT 1`
+    );
+    return result.rows[0] || null;
+}
+
+module.exports = { getRunningJob, failInterruptedJobs, startJob, listJobs, getJob, lastSuccessfulJob };
@@ -0,0 +1,199 @@
+// Ticket matching helpers shared by the single and bulk check endpoints
+
+// Parse user input like "GB 678901", "GB678901", "987654" or "8765"
+// Returns { series, number, last4 } or { error } with a user-facing message
+function parseTicketInput(ticket) {
+    // Clean ticket input (remove spaces, uppercase)
+    const cleanTicket = String(ticket).replace(/\s+/g, '').toUpperCase();
+
+    // Extract potential parts: Series (2 letters) + Number (digits)
+    const ticketMatch = cleanTicket.match(/^([A-Z]{0,2})(\d+)$/);
+    if (!ticketMatch) {
+        return { error: 'Invalid ticket format. Please enter letters (optional) followed by digits.' };
+    }
+
+    const series = ticketMatch[1] || null; // e.g. "GB" or null
+    const number = ticketMatch[2]; // e.g. "6789012" or "987654" or "8765"
+
+    // Validate number length: minimum 4 digits, maximum 9 digits
+    if (number.length < 4 || number.length > 9) {
+        return { error: 'Ticket number must be between 4 and 9 digits.' };
+    }
+
+    return { series, number, last4: number.slice(-4) };
+}
+
+// Expand a series range like "GB 100000-GB 100099" (or "GB 100000-100099")
+// into individual ticket strings. Returns { tickets } or { error }
+function expandTicketRange(range, maxTickets) {
+    const parts = String(range).split(/\s*[-–—]\s*/);
+    if (parts.length !== 2) {
+        return { error: `Invalid ticket range "${range}". Use the format "GB 100000-GB 100099".` };
+    }
+
+    const from = parseTicketInput(parts[0]);
+    // The end of the range may omit the series, e.g. "GB 100000-100099"
+    const to = parseTicketInput(/^\d+$/.test(parts[1].trim()) && from.series ? `${from.series}${parts[1]}` : parts[1]);
+    if (from.error || to.error) {
+        return { error: `Invalid ticket range "${range}": ${from.error || to.error}` };
+    }
+
+    if (from.series !== to.series || from.number.length !== to.number.length) {
+        return { error: `Invalid ticket range "${range}": both ends must use the same series and number length.` };
+    }
+
+    const start = parseInt(from.number, 10);
+    const end = parseInt(to.number, 10);
+    if (end < start) {
+        return { error: `Invalid ticket range "${range}": the end is lower than the start.` };
+    }
+    if (maxTickets && end - start + 1 > maxTickets) {
+        return { error: `Ticket range "${range}" is larger than the limit of ${maxTickets} tickets.` };
+    }
+
+    const tickets = [];
+    for (let n = start; n <= end; n++) {
+        const number = String(n).padStart(from.number.length, '0');
+        tickets.push(from.series ? `${from.series} ${number}` : number);
+    }
+    return { tickets };
+}
+
+// How a ticket has to match a winning number for each prize category
+const MATCH_RULES = {
+    FULL_TICKET: 'FULL_TICKET',     // series and number must both match
+    NUMBER_ONLY: 'NUMBER_ONLY',     // same number in any series other than the 1st prize ticket
+    LAST_4_DIGITS: 'LAST_4_DIGITS'  // last 4 digits of the ticket match
+};
+
+// Kerala lottery matching rules per prize category (names as stored by the scraper)
+const CATEGORY_RULES = {
+    '1st Prize': MATCH_RULES.FULL_TICKET,
+    '2nd Prize': MATCH_RULES.FULL_TICKET,
+    '3rd Prize': MATCH_RULES.FULL_TICKET,
+    'Consolation': MATCH_RULES.NUMBER_ONLY,
+    '4th Prize': MATCH_RULES.LAST_4_DIGITS,
+    '5th Prize': MATCH_RULES.LAST_4_DIGITS,
+    '6th Prize': MATCH_RULES.LAST_4_DIGITS,
+    '7th Prize': MATCH_RULES.LAST_4_DIGITS,
+    '8th Prize': MATCH_RULES.LAST_4_DIGITS,
+    '9th Prize': MATCH_RULES.LAST_4_DIGITS,
+    '10th Prize': MATCH_RULES.LAST_4_DIGITS
+};
+
+// Unknown categories (e.g. bumper specials) fall back to the shape of their winning numbers
+function ruleForCategory(categoryName, hasSeries) {
+    const rule = CATEGORY_RULES[categoryName];
+    // Bumpers pay some lower prizes (4th, 5th) on full series tickets
+    if (rule === MATCH_RULES.LAST_4_DIGITS && hasSeries) return MATCH_RULES.FULL_TICKET;
+    if (rule) return rule;
+    return hasSeries ? MATCH_RULES.FULL_TICKET : MATCH_RULES.LAST_4_DIGITS;
+}
+
+const formatTicket = (series, number) => (series ? `${series} ${number}` : number);
+
+// Check a parsed ticket against the winning numbers of one draw
+// (rows with series, number, full_winning_ticket, category_name, prize_amount).
+// Returns every prize the ticket qualifies for, highest first, with the one that
+// can be claimed flagged (a Kerala ticket can only claim its highest prize), plus
+// "possible" prizes that can't be confirmed because the series wasn't given.
+function evaluateTicket(input, winners) {
+    const inputTicket = formatTicket(input.series, input.number);
+    const firstPrizeTickets = new Set(
+        winners
+            .filter(w => w.category_name === '1st Prize' && w.series)
+            .map(w => formatTicket(w.series, w.number))
+    );
+
+    const prizes = new Map();
+    const possiblePrizes = new Map();
+
+    for (const win of winners) {
+        const rule = ruleForCategory(win.category_name, !!win.series);
+        const prize = {
+            prizeName: win.category_name,
+            prizeAmount: win.prize_amount,
+            winningTicket: win.full_winning_ticket,
+            rule
+        };
+
+        if (rule === MATCH_RULES.FULL_TICKET) {
+            if (input.number !== win.number) continue;
+
+            if (!win.series || input.series === win.series) {
+                prize.reason = `Ticket ${inputTicket} matches the winning ticket ${win.full_winning_ticket} exactly.`;
+            } else if (!input.series) {
+                possiblePrizes.set(win.category_name, {
+                    ...prize,
+                    reason: `Number ${input.number} matches the winning ticket ${win.full_winning_ticket}. Enter the series to confirm this prize.`
+                });
+                continue;
+            } else {
+                continue;
+            }
+        } else if (rule === MATCH_RULES.NUMBER_ONLY) {
+            if (input.number !== win.number) continue;
+            // The 1st prize ticket itself doesn't also win the consolation prize
+            if (input.series && firstPrizeTickets.has(inputTicket)) continue;
+
+            // Prefer the listed ticket in the same series when there is one
+            const existing = prizes.get(win.category_name);
+            if (existing && win.series !== input.series) continue;
+
+            prize.reason = `Number ${input.number} matches the ${win.category_name} number ${win.number} in a series other than the 1st prize ticket.`;
+        } else {
+            const winLast4 = win.number.slice(-4);
+            if (input.last4 !== winLast4) continue;
+
+            prize.reason = `The last 4 digits ${input.last4} match the winning number ${win.full_winning_ticket}.`;
+        }
+
+        if (!prizes.has(win.category_name) || rule === MATCH_RULES.NUMBER_ONLY) {
+            prizes.set(win.category_name, prize);
+        }
+    }
+
+    const byAmount = (a, b) => parseFloat(b.prizeAmount) - parseFloat(a.prizeAmount);
+    const sorted = [...prizes.values()].sort(byAmount)
+        .map((prize, i) => ({ ...prize, claimable: i === 0 }));
+
+    // A confirmed prize already covers these, so they're only worth showing when higher
+    const topAmount = sorted.length ? parseFloat(sorted[0].prizeAmount) : 0;
+    const possible = [...possiblePrizes.values()]
+        .filter(p => parseFloat(p.prizeAmount) > topAmount)
+        .sort(byAmount);
+
+    return {
+        prizes: sorted,
+        claimablePrize: sorted[0] || null,
+        possiblePrizes: possible
+    };
+}
+
+// Series used in a draw: the 1st prize series plus the consolation series
+function drawSeries(winners) {
+    return new Set(
+        winners
+            .filter(w => (w.category_name === '1st Prize' || w.category_name === 'Consolation') && w.series)
+            .map(w => w.series)
+    );
+}
+
+// On days with several draws (e.g. a bumper next to the weekly lottery) a ticket
+// belongs to the draw that uses its series. Without a series, or if no draw uses
+// it, every draw is checked. Each draw is { draw, winners }.
+function selectDrawsForTicket(input, draws) {
+    if (draws.length <= 1 || !input.series) return draws;
+    const owning = draws.filter(d => drawSeries(d.winners).has(input.series));
+    return owning.length > 0 ? owning : draws;
+}
+
+module.exports = {
+    MATCH_RULES,
+    parseTicketInput,
+    expandTicketRange,
+    ruleForCategory,
+    evaluateTicket,
+    drawSeries,
+    selectDrawsForTicket
+};
@@ -0,0 +1,132 @@
+// Versioned schema migrations. Each migration is a pair of files in db/migrations,
+// NNN_name.up.sql and NNN_name.down.sql, run in its own transaction. Applied
+// versions are recorded in the schema_migrations table.
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'db', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Read migrations from disk, oldest first: [{ version, name, up, down }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+        const [, version, name, direction] = match;
+
+        const existing = byVersion.get(version);
+        if (existing && existing.name !== name) {
+            throw new Error(`Migration version ${version} is used by both ${existing.name} and ${name}.`);
+        }
+        const migration = existing || { version, name, up: null, down: null };
+        migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, migration);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => a.version.localeCompare(b.version));
+    for (const migration of migrations) {
+        if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file.`);
+    }
+    return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+}
+
+// Versions recorded in schema_migrations, oldest first
+async function appliedVersions(client) {
+    await ensureMigrationsTable(client);
+    const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(r => r.version);
+}
+
+async function runMigration(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+        await client.query(migration[direction]);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`;
+        throw err;
+    }
+}
+
+// Apply pending migrations, optionally only up to and including version `to`.
+// Returns the migrations that were applied.
+async function migrateUp({ to = null, dir = MIGRATIONS_DIR } = {}) {
+    const migrations = loadMigrations(dir);
+    const client = await pool.connect();
+    try {
+        const applied = new Set(await appliedVersions(client));
+        const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+
+        for (const migration of pending) {
+            console.log(`Applying ${migration.version}_${migration.name}...`);
+            await runMigration(client, migration, 'up');
+        }
+        return pending;
+    } finally {
+        client.release();
+    }
+}
+
+// Roll back the last `steps` applied migrations, or every migration after version `to`.
+// Returns the migrations that were rolled back, newest first.
+async function migrateDown({ steps = 1, to = null, dir = MIGRATIONS_DIR } = {}) {
+    const migrations = loadMigrations(dir);
+    const client = await pool.connect();
+    try {
+        const applied = await appliedVersions(client);
+        const targets = (to ? applied.filter(v => v > to) : applied.slice(-steps)).reverse();
+
+        const rolledBack = [];
+        for (const version of targets) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration || !migration.down) {
+                throw new Error(`Migration ${version} can't be rolled back: no .down.sql file.`);
+            }
+            console.log(`Rolling back ${migration.version}_${migration.name}...`);
+            await runMigration(client, migration, 'down');
+            rolledBack.push(migration);
+        }
+        return rolledBack;
+    } finally {
+        client.release();
+    }
+}
+
+// Every migration on disk with whether it has been applied
+async function migrationStatus({ dir = MIGRATIONS_DIR } = {}) {
+    const migrations = loadMigrations(dir);
+    const client = await pool.connect();
+    try {
+        const applied = new Set(await appliedVersions(client));
+        return migrations.map(m => ({ version: m.version, name: m.name, applied: applied.has(m.version) }));
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
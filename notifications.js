@@ -0,0 +1,227 @@
+// Ingestion events. When the scraper stores a new draw it publishes a
+// "draw.ingested" event (flagged provisional while the draw needs review, and
+// published again once it is approved), then a "ticket.won" event for every
+// watched ticket that wins a prize in it. "ticket.won" only goes out for final
+// draws, once per watch: approving, correcting or re-parsing a draw publishes it
+// for watches that win in the final result. Events go to SSE clients
+// (GET /api/events) and to webhooks (see webhooks.js).
+//
+// A watch belongs to whoever holds its token: "ticket.won" events are only
+// streamed to SSE clients that pass the token (?watch=<token>), and only
+// delivered to the webhook the watch was registered for, if any.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const pool = require('./db');
+const { parseTicketInput, evaluateTicket, selectDrawsForTicket } = require('./matcher');
+const { queueDeliveries, attemptDelivery } = require('./webhooks');
+const { loadDrawsWithWinners } = require('./draws');
+const { isValidDate } = require('./validation');
+
+const RECENT_EVENTS = 100; // kept for SSE clients reconnecting with Last-Event-ID
+const MAX_WATCH_TICKETS = 50;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per SSE connection
+const recent = [];
+
+// Listen to every event: listener(event, tokenHash). tokenHash is set on events
+// meant only for one watch holder. Returns an unsubscribe function.
+function subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+// Events published after the one with this id (empty if it's too old to replay)
+function eventsSince(eventId) {
+    const index = recent.findIndex(r => r.event.id === eventId);
+    return index === -1 ? [] : recent.slice(index + 1);
+}
+
+// Server-Sent Events frame for an event
+function formatSseEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Emit an event to SSE listeners and queue its webhook deliveries. The first
+// delivery attempts run in the background; failures are retried by deliverDueWebhooks.
+async function publish(type, data, { webhookId = null, tokenHash = null } = {}) {
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+
+    recent.push({ event, tokenHash });
+    if (recent.length > RECENT_EVENTS) recent.shift();
+    bus.emit('event', event, tokenHash);
+
+    // Events for a watch holder only go to the watch's own webhook
+    const deliveryIds = tokenHash && !webhookId ? [] : await queueDeliveries(event, { webhookId });
+    Promise.all(deliveryIds.map(id => attemptDelivery(id)))
+        .catch(err => console.error(`Webhook delivery for event ${event.id} failed:`, err.message));
+    return event;
+}
+
+// ---- Watched tickets ----
+
+function hashWatchToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Validate a watch request body { ticket | tickets, date, lottery? }.
+// Returns { tickets, date, lotteryCode } with normalised tickets, or { error }
+function parseWatchRequest(body) {
+    const { ticket, date, lottery } = body || {};
+    const raw = body && body.tickets !== undefined ? body.tickets : (ticket !== undefined ? [ticket] : []);
+
+    if (!Array.isArray(raw) || raw.length === 0) {
+        return { error: 'Provide a ticket or a list of tickets to watch.' };
+    }
+    if (raw.length > MAX_WATCH_TICKETS) {
+        return { error: `At most ${MAX_WATCH_TICKETS} tickets can be watched at once.` };
+    }
+    if (!isValidDate(date)) {
+        return { error: 'date (the draw date of the tickets) must be in YYYY-MM-DD format.' };
+    }
+    if (lottery !== undefined && lottery !== null && (typeof lottery !== 'string' || !/^[A-Z]{1,10}$/i.test(lottery))) {
+        return { error: 'lottery must be a lottery code such as "KN".' };
+    }
+
+    const tickets = [];
+    for (const value of raw) {
+        const input = parseTicketInput(value);
+        if (input.error) return { error: `Ticket "${value}": ${input.error}` };
+        tickets.push(input.series ? `${input.series} ${input.number}` : input.number);
+    }
+    return { tickets, date, lotteryCode: lottery ? lottery.toUpperCase() : null };
+}
+
+// Watch tickets for one draw date. Returns { token, watches }; the token is only
+// shown here (just its hash is stored)
+async function createWatches({ tickets, date, lotteryCode = null, webhookId = null }) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const tokenHash = hashWatchToken(token);
+
+    const watches = [];
+    for (const ticket of tickets) {
+        const result = await pool.query(
+            `INSERT INTO watched_tickets (ticket, draw_date, lottery_code, token_hash, webhook_id)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, ticket, to_char(draw_date, 'YYYY-MM-DD') AS draw_date, lottery_code, created_at`,
+            [ticket, date, lotteryCode, tokenHash, webhookId]
+        );
+        watches.push(result.rows[0]);
+    }
+    return { token, watches };
+}
+
+async function listWatches(token) {
+    const result = await pool.query(
+        `SELECT id, ticket, to_char(draw_date, 'YYYY-MM-DD') AS draw_date, lottery_code, created_at
+         FROM watched_tickets WHERE token_hash = $1 ORDER BY created_at`,
+        [hashWatchToken(token)]
+    );
+    return result.rows;
+}
+
+// Returns false if there is no such watch for this token
+async function deleteWatch(id, token) {
+    const result = await pool.query(
+        'DELETE FROM watched_tickets WHERE id = $1 AND token_hash = $2',
+        [id, hashWatchToken(token)]
+    );
+    return result.rowCount > 0;
+}
+
+// ---- Ingestion ----
+
+async function loadDrawSummary(drawId) {
+    const { rows } = await pool.query(
+        `SELECT id, to_char(draw_date, 'YYYY-MM-DD') AS draw_date, lottery_name, lottery_code, draw_no, status
+         FROM lottery_draws WHERE id = $1`,
+        [drawId]
+    );
+    if (rows.length === 0) return null;
+    const draw = rows[0];
+    return {
+        draw,
+        summary: {
+            drawId: draw.id,
+            lotteryName: draw.lottery_name,
+            lotteryCode: draw.lottery_code,
+            drawNo: draw.draw_no,
+            drawDate: draw.draw_date,
+            provisional: draw.status !== 'final'
+        }
+    };
+}
+
+// Publish "ticket.won" for watches that win in a final draw and haven't been told
+// yet. Returns the number published
+async function notifyWinningWatches(draw, summary) {
+    if (draw.status !== 'final') return 0;
+
+    const { rows: watches } = await pool.query(
+        `SELECT id, ticket, lottery_code, token_hash, webhook_id FROM watched_tickets
+         WHERE draw_date = $1 AND (lottery_code IS NULL OR lottery_code = $2) AND notified_at IS NULL`,
+        [draw.draw_date, draw.lottery_code]
+    );
+    if (watches.length === 0) return 0;
+
+    const draws = await loadDrawsWithWinners(draw.draw_date);
+    const current = draws.find(d => d.draw.id === draw.id);
+    let won = 0;
+
+    for (const watch of watches) {
+        const input = parseTicketInput(watch.ticket);
+        // Without a lottery code the series decides which of the day's draws the ticket is for
+        if (!watch.lottery_code && !selectDrawsForTicket(input, draws).includes(current)) continue;
+
+        const { claimablePrize } = evaluateTicket(input, current.winners);
+        if (!claimablePrize) continue;
+
+        await publish('ticket.won', {
+            ...summary,
+            watchId: watch.id,
+            ticket: watch.ticket,
+            prizeName: claimablePrize.prizeName,
+            prizeAmount: claimablePrize.prizeAmount
+        }, { webhookId: watch.webhook_id, tokenHash: watch.token_hash });
+        await pool.query('UPDATE watched_tickets SET notified_at = $2 WHERE id = $1', [watch.id, new Date()]);
+        won++;
+    }
+    return won;
+}
+
+// Publish the events for a newly stored draw. Returns { event, won } or null if
+// the draw doesn't exist. Draws still needing review are flagged provisional and
+// get no "ticket.won" events until they are final.
+async function notifyDrawIngested(drawId) {
+    const loaded = await loadDrawSummary(drawId);
+    if (!loaded) return null;
+
+    const event = await publish('draw.ingested', loaded.summary);
+    return { event, won: await notifyWinningWatches(loaded.draw, loaded.summary) };
+}
+
+// Publish the events for a stored draw that was approved, corrected or re-parsed.
+// A draw that has just become final is announced again (no longer provisional).
+// Returns { event, won } (event is null if nothing was announced) or null if the
+// draw doesn't exist.
+async function notifyDrawUpdated(drawId, { becameFinal = false } = {}) {
+    const loaded = await loadDrawSummary(drawId);
+    if (!loaded) return null;
+
+    const event = becameFinal && loaded.draw.status === 'final' ? await publish('draw.ingested', loaded.summary) : null;
+    return { event, won: await notifyWinningWatches(loaded.draw, loaded.summary) };
+}
+
+module.exports = {
+    subscribe,
+    eventsSince,
+    formatSseEvent,
+    publish,
+    hashWatchToken,
+    parseWatchRequest,
+    createWatches,
+    listWatches,
+    deleteWatch,
+    notifyDrawIngested,
+    notifyDrawUpdated
+};
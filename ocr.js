@@ -0,0 +1,145 @@
+// Ticket photo OCR for POST /api/check/image. Recognition runs locally with
+// tesseract.js and the bundled English data (@tesseract.js-data/eng); images are
+// never sent anywhere. parseTicketText() then pulls the ticket fields out of the
+// recognised text, with a confidence per field so the UI can ask for confirmation.
+const { createWorker } = require('tesseract.js');
+const eng = require('@tesseract.js-data/eng');
+
+// Fields below this confidence (0-1) should be confirmed by the user
+const CONFIRM_THRESHOLD = 0.8;
+
+// Usual OCR mix-ups in the letter and digit parts of a ticket
+const TO_DIGIT = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+const TO_LETTER = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 6: 'G', 8: 'B' };
+
+// Tesseract backend: recognize(image) -> { text, confidence, words: [{ text, confidence }] }
+// with confidences from 0 to 100. One worker is started on first use and reused.
+function createTesseractRecognizer() {
+    let worker = null;
+    return {
+        name: 'tesseract',
+        async recognize(image) {
+            if (!worker) {
+                // cacheMethod "none": read the bundled data instead of caching a copy in the working directory
+                worker = createWorker(eng.code, 1, { langPath: eng.langPath, gzip: eng.gzip, cacheMethod: 'none' })
+                    .catch(err => {
+                        worker = null; // try again on the next image
+                        throw err;
+                    });
+            }
+            const { data } = await (await worker).recognize(image, {}, { text: true, blocks: true });
+
+            const words = [];
+            for (const block of data.blocks || []) {
+                for (const paragraph of block.paragraphs) {
+                    for (const line of paragraph.lines) {
+                        for (const word of line.words) words.push({ text: word.text, confidence: word.confidence });
+                    }
+                }
+            }
+            return { text: data.text, confidence: data.confidence, words };
+        }
+    };
+}
+
+let recognizer = null;
+
+function getRecognizer() {
+    if (!recognizer) recognizer = createTesseractRecognizer();
+    return recognizer;
+}
+
+// Replace the OCR backend (used by tests)
+function setRecognizer(backend) {
+    recognizer = backend;
+}
+
+const mapChars = (text, map) => [...text].map(c => map[c] || c).join('');
+
+// Helper: lowest confidence (0-1) of the words a match came from, or the page confidence
+function confidenceOf(match, words, fallback) {
+    const parts = match.split(/[\s-]+/).filter(Boolean);
+    const scores = parts
+        .map(part => words.find(w => w.text.toUpperCase().replace(/[^A-Z0-9]/g, '').includes(part)))
+        .filter(Boolean)
+        .map(w => w.confidence);
+    const score = scores.length === parts.length ? Math.min(...scores) : fallback;
+    return Math.round(score) / 100;
+}
+
+// Pull { lotteryName, drawNo, lotteryCode, date, series, number, ticket } out of
+// OCR output, each field as { value, confidence, corrected? } or null.
+// knownLotteries is a list of { code, name } to recognise lottery names against.
+function parseTicketText({ text, confidence = 0, words = [] }, knownLotteries = []) {
+    const upper = String(text).toUpperCase();
+    const field = (value, source, corrected = false) => ({
+        value,
+        confidence: confidenceOf(source, words, confidence),
+        ...(corrected ? { corrected: true } : {})
+    });
+
+    // Draw number, e.g. "KN-555" (the hyphen is often read as a space or a dash variant)
+    let drawNo = null;
+    const drawMatch = upper.match(/\b([A-Z]{1,3})\s?[-–—]\s?(\d{2,4})\b/);
+    if (drawMatch) drawNo = field(`${drawMatch[1]}-${drawMatch[2]}`, `${drawMatch[1]} ${drawMatch[2]}`);
+
+    // Ticket: 2 series letters and 6 digits, allowing for letter/digit mix-ups
+    let series = null;
+    let number = null;
+    for (const match of upper.matchAll(/\b([A-Z0-9]{2})\s?([0-9OQDILZSGB]{6})\b/g)) {
+        const fixedSeries = mapChars(match[1], TO_LETTER);
+        const fixedNumber = mapChars(match[2], TO_DIGIT);
+        if (!/^[A-Z]{2}$/.test(fixedSeries) || !/^\d{6}$/.test(fixedNumber)) continue;
+        // Only fix single characters: the series needs a real letter and the number a real digit
+        if (!/[A-Z]/.test(match[1]) || !/\d/.test(match[2])) continue;
+
+        series = field(fixedSeries, match[1], fixedSeries !== match[1]);
+        number = field(fixedNumber, match[2], fixedNumber !== match[2]);
+        break;
+    }
+
+    // Draw date, printed day first ("02/01/2025", "02-01-2025" or "02.01.2025")
+    let date = null;
+    const dateMatch = upper.match(/\b(\d{2})[/.-](\d{2})[/.-](\d{4})\b/);
+    if (dateMatch) date = field(`${dateMatch[3]}-${dateMatch[2]}-${dateMatch[1]}`, dateMatch[0].replace(/[/.-]/g, ' '));
+
+    // Lottery name: the longest known name on the ticket, or the one for the draw number's code
+    const lotteryCode = drawNo ? drawNo.value.split('-')[0] : null;
+    let lotteryName = null;
+    const named = knownLotteries
+        .filter(l => l.name && upper.includes(l.name.toUpperCase()))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    if (named) {
+        lotteryName = field(named.name, named.name.toUpperCase());
+    } else {
+        const byCode = lotteryCode && knownLotteries.find(l => l.code === lotteryCode);
+        if (byCode) lotteryName = { value: byCode.name, confidence: drawNo.confidence, fromDrawNo: true };
+    }
+
+    return {
+        lotteryName,
+        drawNo,
+        lotteryCode,
+        date,
+        series,
+        number,
+        ticket: series && number ? `${series.value} ${number.value}` : null,
+        confidence: Math.round(confidence) / 100
+    };
+}
+
+// Whether the user should confirm what was read: a field is missing, unsure or was corrected
+function needsConfirmation(recognised) {
+    const fields = [recognised.series, recognised.number];
+    return fields.some(f => !f || f.confidence < CONFIRM_THRESHOLD || f.corrected)
+        || (!!recognised.date && recognised.date.confidence < CONFIRM_THRESHOLD);
+}
+
+module.exports = {
+    CONFIRM_THRESHOLD,
+    createTesseractRecognizer,
+    getRecognizer,
+    setRecognizer,
+    parseTicketText,
+    needsConfirmation
+};
@@ -0,0 +1,141 @@
+// Prize claim calculator: what a winner actually receives after agent commission,
+// income tax and surcharge/cess, when the claim is due and where to make it.
+//
+// Rates come from config/prize_rules.json (or the PRIZE_RULES_CONFIG path): a list
+// of rule versions, each applying to draws from its effectiveFrom date, so a draw
+// is always calculated with the rules in force on its draw date. A version has:
+//   agentCommission  { percent, above }: commission on prizes above the amount
+//   incomeTax        { percent, above, afterCommission }: tax on prizes above the
+//                    amount, charged on the prize after commission if afterCommission
+//   surcharge        [{ above, percent }]: % of the tax, by taxable amount (highest slab that applies)
+//   cessPercent      health and education cess, % of tax plus surcharge
+//   claimDays        days from the draw date to claim the prize
+//   lateClaimDays    days within which a late claim can still be condoned
+//   claimOffices     [{ upTo, office }]: where to claim, by prize amount (upTo null = no limit)
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const RULES_PATH = process.env.PRIZE_RULES_CONFIG || path.join(__dirname, 'config', 'prize_rules.json');
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const isAmount = value => typeof value === 'number' && value >= 0;
+
+// Validate raw rules and sort the versions oldest first, and each version's
+// surcharge slabs lowest first (calculatePrize takes the last one that applies)
+function normalizePrizeRules(raw) {
+    const versions = (raw && raw.versions) || [];
+    if (versions.length === 0) throw new Error('Prize rules: at least one version is required.');
+
+    for (const v of versions) {
+        const label = `Prize rules ${v.version || '(unnamed)'}`;
+        if (!DATE_REGEX.test(v.effectiveFrom || '')) {
+            throw new Error(`${label}: effectiveFrom must be YYYY-MM-DD.`);
+        }
+        if (!v.agentCommission || !isAmount(v.agentCommission.percent) || !isAmount(v.agentCommission.above)) {
+            throw new Error(`${label}: agentCommission needs a percent and an above amount.`);
+        }
+        if (!v.incomeTax || !isAmount(v.incomeTax.percent) || !isAmount(v.incomeTax.above)) {
+            throw new Error(`${label}: incomeTax needs a percent and an above amount.`);
+        }
+        if (!Array.isArray(v.surcharge) || v.surcharge.some(s => !isAmount(s.above) || !isAmount(s.percent))) {
+            throw new Error(`${label}: surcharge must be a list of { above, percent }.`);
+        }
+        if (!isAmount(v.cessPercent)) throw new Error(`${label}: cessPercent must be a number.`);
+        if (!Number.isInteger(v.claimDays) || !Number.isInteger(v.lateClaimDays) || v.lateClaimDays < v.claimDays) {
+            throw new Error(`${label}: claimDays and lateClaimDays must be whole days, lateClaimDays not less than claimDays.`);
+        }
+        const offices = v.claimOffices || [];
+        if (offices.length === 0 || offices[offices.length - 1].upTo !== null) {
+            throw new Error(`${label}: claimOffices must end with an office for any amount (upTo: null).`);
+        }
+    }
+
+    return versions
+        .map(v => ({ ...v, surcharge: [...v.surcharge].sort((a, b) => a.above - b.above) }))
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+function loadPrizeRules(file = RULES_PATH) {
+    return normalizePrizeRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+let rules = null;
+
+// Bundled rules (loaded on first use)
+function getPrizeRules() {
+    if (!rules) rules = loadPrizeRules();
+    return rules;
+}
+
+// The version in force on a draw date (the oldest one for earlier dates)
+function rulesForDate(versions, date) {
+    let current = versions[0];
+    for (const version of versions) {
+        if (version.effectiveFrom <= date) current = version;
+    }
+    return current;
+}
+
+// Helper: "2025-01-02" plus n days
+function addDays(date, n) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Net payout and claim details for a prize won in a draw on drawDate ("YYYY-MM-DD")
+function calculatePrize(amount, drawDate, { versions = getPrizeRules(), now = new Date() } = {}) {
+    const gross = parseFloat(amount);
+    const rule = rulesForDate(versions, drawDate);
+
+    const commissionPercent = gross > rule.agentCommission.above ? rule.agentCommission.percent : 0;
+    const agentCommission = round(gross * commissionPercent / 100);
+
+    const taxed = gross > rule.incomeTax.above;
+    const taxableAmount = taxed ? round(rule.incomeTax.afterCommission ? gross - agentCommission : gross) : 0;
+    const incomeTax = round(taxableAmount * (taxed ? rule.incomeTax.percent : 0) / 100);
+
+    const slab = rule.surcharge.filter(s => taxableAmount > s.above).pop();
+    const surchargePercent = slab ? slab.percent : 0;
+    const surcharge = round(incomeTax * surchargePercent / 100);
+    const cessPercent = taxed ? rule.cessPercent : 0;
+    const cess = round((incomeTax + surcharge) * cessPercent / 100);
+
+    const totalDeductions = round(agentCommission + incomeTax + surcharge + cess);
+    const deadline = addDays(drawDate, rule.claimDays);
+    const lateDeadline = addDays(drawDate, rule.lateClaimDays);
+    const today = now.toISOString().slice(0, 10);
+    const office = rule.claimOffices.find(o => o.upTo === null || gross <= o.upTo).office;
+
+    return {
+        grossAmount: gross,
+        agentCommission,
+        taxableAmount,
+        incomeTax,
+        surcharge,
+        cess,
+        totalDeductions,
+        netAmount: round(gross - totalDeductions),
+        rates: {
+            agentCommissionPercent: commissionPercent,
+            incomeTaxPercent: taxed ? rule.incomeTax.percent : 0,
+            surchargePercent,
+            cessPercent
+        },
+        claim: {
+            office,
+            deadline,
+            lateDeadline,
+            daysLeft: Math.round((new Date(`${deadline}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / 86400000),
+            status: today <= deadline ? 'open' : today <= lateDeadline ? 'late' : 'expired',
+            note: `Claim within ${rule.claimDays} days of the draw. Claims up to ${rule.lateClaimDays} days after the draw `
+                + 'are only accepted with the Director\'s approval and a reason for the delay.'
+        },
+        rulesVersion: rule.version
+    };
+}
+
+module.exports = { RULES_PATH, normalizePrizeRules, loadPrizeRules, getPrizeRules, rulesForDate, calculatePrize };
@@ -0,0 +1,50 @@
+// Per-IP rate limiting for the ticket check endpoints. A fixed window per client
+// IP (req.ip, so set TRUST_PROXY when running behind a proxy), kept in memory:
+// limits are per process. Responses carry RateLimit-Limit, RateLimit-Remaining and
+// RateLimit-Reset headers; requests over the limit get a 429 with Retry-After.
+require('dotenv').config();
+
+const DEFAULT_LIMIT = parseInt(process.env.CHECK_RATE_LIMIT, 10) || 60;
+const DEFAULT_WINDOW_MS = parseInt(process.env.CHECK_RATE_WINDOW_MS, 10) || 60000;
+
+function createRateLimiter({ limit = DEFAULT_LIMIT, windowMs = DEFAULT_WINDOW_MS, now = Date.now } = {}) {
+    const windows = new Map(); // ip -> { count, resetAt }
+    let nextSweep = 0;
+
+    return (req, res, next) => {
+        const time = now();
+
+        // Drop finished windows once per window instead of keeping a timer
+        if (time >= nextSweep) {
+            for (const [ip, window] of windows) {
+                if (window.resetAt <= time) windows.delete(ip);
+            }
+            nextSweep = time + windowMs;
+        }
+
+        let window = windows.get(req.ip);
+        if (!window || window.resetAt <= time) {
+            window = { count: 0, resetAt: time + windowMs };
+            windows.set(req.ip, window);
+        }
+        window.count++;
+
+        const resetSeconds = Math.ceil((window.resetAt - time) / 1000);
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(limit - window.count, 0)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (window.count > limit) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                message: `Too many requests. Try again in ${resetSeconds} seconds.`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,710 @@
+// Admin API (mounted at /api/admin, every route requires an admin key)
+const express = require('express');
+const { requireAdmin } = require('../auth');
+const { getRunningJob, startJob, listJobs, getJob } = require('../jobs');
+const pool = require('../db');
+const { recordAudit, listAudit } = require('../audit');
+const { scrapeDraws, scrapeLatestDraw, retryFailedDraws, backfillArchive, reparseDraw, parseTicketString } = require('../scraper');
+const { listFailedDraws } = require('../failedDraws');
+const { findOrCreateRun, getRun, listRuns } = require('../backfillRuns');
+const { EVENT_TYPES, createWebhook, listWebhooks, getWebhook, deleteWebhook, listDeliveries } = require('../webhooks');
+const { parseWatchRequest, createWatches, notifyDrawUpdated } = require('../notifications');
+const { recheckSavedTicketsForDraw } = require('../wallet');
+const { invalidateDrawCache } = require('../cache');
+const { UUID_REGEX, isValidDate, validateQuery, PAGINATION } = require('../validation');
+
+const router = express.Router();
+router.use(requireAdmin);
+
+// Start a scrape job and reply 202 with the job, or 409 if one is already running
+async function startScrapeJob(req, res, type, params, task) {
+    try {
+        console.log(`Manual ${type.toUpperCase()} scrape triggered by ${req.admin}...`);
+        const started = await startJob(type, req.admin, params, task);
+        if (!started) {
+            return res.status(409).json({
+                success: false,
+                message: 'A scrape job is already running.',
+                runningJobId: getRunningJob()
+            });
+        }
+
+        res.status(202).json({ success: true, message: 'Scraping job started in background.', data: started.job });
+    } catch (err) {
+        console.error('Error starting scrape job:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+}
+
+function triggerScrape(req, res, { all, date }) {
+    if (date && !isValidDate(date)) {
+        return res.status(400).json({ success: false, message: 'Date must be in YYYY-MM-DD format.' });
+    }
+
+    let type = 'latest';
+    let task = scrapeLatestDraw;
+    if (date) {
+        type = 'date';
+        task = () => scrapeDraws(date);
+    } else if (all) {
+        type = 'full';
+        task = () => scrapeDraws(); // Scrapes everything on page not in DB
+    }
+    return startScrapeJob(req, res, type, { all: !!all, date: date || null }, task);
+}
+
+// Trigger a scrape. Body: { all?: boolean, date?: "YYYY-MM-DD" }
+router.post('/scrape', (req, res) => {
+    const { all, date } = req.body || {};
+    return triggerScrape(req, res, { all: all === true || all === 'true', date });
+});
+
+const triggerQuery = validateQuery({ all: { type: 'enum', values: ['true', 'false'] }, date: { type: 'date' } });
+
+// Kept for existing callers; same as POST /scrape
+router.get('/trigger-scrape', triggerQuery, (req, res) => {
+    return triggerScrape(req, res, { all: req.query.all === 'true', date: req.query.date });
+});
+
+const JOB_STATUSES = ['running', 'succeeded', 'partial', 'failed'];
+const jobsQuery = validateQuery({ ...PAGINATION, status: { type: 'enum', values: JOB_STATUSES } });
+
+// List scrape jobs (newest first). Query: status, page, limit
+router.get('/jobs', jobsQuery, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    try {
+        const data = await listJobs({ status: req.query.status, limit, offset: (page - 1) * limit });
+        res.json({ success: true, data, runningJobId: getRunningJob() });
+    } catch (err) {
+        console.error('Error fetching jobs:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+router.get('/jobs/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Job not found.' });
+    }
+
+    try {
+        const data = await getJob(req.params.id);
+        if (!data) {
+            return res.status(404).json({ success: false, message: 'Job not found.' });
+        }
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching job:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+const failedDrawsQuery = validateQuery({ status: { type: 'enum', values: ['pending', 'gave_up'] } });
+
+// Draws the scraper failed on and will retry. Query: status (pending, gave_up)
+router.get('/failed-draws', failedDrawsQuery, async (req, res) => {
+    try {
+        const data = await listFailedDraws({ status: req.query.status });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching failed draws:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Retry queued draws now. Body: { all?: boolean } (all includes gave_up and not-yet-due draws)
+router.post('/failed-draws/retry', (req, res) => {
+    const all = (req.body || {}).all === true;
+    return startScrapeJob(req, res, 'retry', { all }, () => retryFailedDraws({ all }));
+});
+
+// Backfill the result archive over a date range. Body: { from: "YYYY-MM-DD", to?: "YYYY-MM-DD" }
+// Resumes the unfinished run for the same range if there is one.
+router.post('/backfill', async (req, res) => {
+    const { from } = req.body || {};
+    const to = (req.body || {}).to || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(from) || !isValidDate(to)) {
+        return res.status(400).json({ success: false, message: 'from and to must be in YYYY-MM-DD format.' });
+    }
+    if (from > to) {
+        return res.status(400).json({ success: false, message: 'from must not be after to.' });
+    }
+
+    let run;
+    try {
+        run = await findOrCreateRun({ from, to, triggeredBy: req.admin });
+    } catch (err) {
+        console.error('Error creating backfill run:', err);
+        return res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+    return startScrapeJob(req, res, 'backfill', { from, to, runId: run.id }, () => backfillArchive(run.id));
+});
+
+// Backfill runs with their progress (newest first). Query: page, limit
+router.get('/backfill', validateQuery(PAGINATION), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    try {
+        const data = await listRuns({ limit, offset: (page - 1) * limit });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching backfill runs:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+router.get('/backfill/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Backfill run not found.' });
+    }
+
+    try {
+        const data = await getRun(req.params.id);
+        if (!data) {
+            return res.status(404).json({ success: false, message: 'Backfill run not found.' });
+        }
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching backfill run:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// ---- Webhooks ----
+
+// Register a webhook. Body: { url, events?: ["draw.ingested", "ticket.won"], description? }
+// The signing secret is only returned here.
+router.post('/webhooks', async (req, res) => {
+    const { url, events = EVENT_TYPES, description = null } = req.body || {};
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch {
+        parsedUrl = null;
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return res.status(400).json({ success: false, message: 'url must be an http(s) URL.' });
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => !EVENT_TYPES.includes(e))) {
+        return res.status(400).json({ success: false, message: `events must be a list of: ${EVENT_TYPES.join(', ')}.` });
+    }
+
+    try {
+        const data = await createWebhook({ url, events, description, createdBy: req.admin });
+        res.status(201).json({ success: true, data });
+    } catch (err) {
+        console.error('Error creating webhook:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+router.get('/webhooks', async (req, res) => {
+    try {
+        const data = await listWebhooks();
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching webhooks:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Deleting a webhook also removes its deliveries and watches
+router.delete('/webhooks/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Webhook not found.' });
+    }
+
+    try {
+        if (!await deleteWebhook(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Webhook not found.' });
+        }
+        res.json({ success: true, message: 'Webhook deleted.' });
+    } catch (err) {
+        console.error('Error deleting webhook:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Recent deliveries of a webhook with their status and last error
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Webhook not found.' });
+    }
+
+    try {
+        if (!await getWebhook(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Webhook not found.' });
+        }
+        const data = await listDeliveries(req.params.id);
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching webhook deliveries:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Watch tickets on behalf of a webhook's owner: its "ticket.won" events are delivered to the webhook.
+// Body: same as POST /api/watches
+router.post('/webhooks/:id/watches', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Webhook not found.' });
+    }
+    const parsed = parseWatchRequest(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    try {
+        if (!await getWebhook(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Webhook not found.' });
+        }
+        const data = await createWatches({ ...parsed, webhookId: req.params.id });
+        res.status(201).json({ success: true, data });
+    } catch (err) {
+        console.error('Error creating webhook watches:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// ---- Manual corrections ----
+
+// Run fn(client, changed) in a transaction and return its result. Every correction
+// changes a draw's results, so cached draws are dropped once it commits; fn calls
+// changed(drawId, becameFinal) so saved tickets for that draw are then re-checked
+// and watchers told about wins in the final result.
+async function inTransaction(fn) {
+    const client = await pool.connect();
+    const changedDraws = new Map(); // draw id -> whether it became final
+    let result;
+    try {
+        await client.query('BEGIN');
+        result = await fn(client, (drawId, becameFinal = false) => {
+            changedDraws.set(drawId, changedDraws.get(drawId) || becameFinal);
+        });
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    invalidateDrawCache();
+
+    // The correction is saved either way: failures here are only logged
+    for (const [drawId, becameFinal] of changedDraws) {
+        try {
+            await recheckSavedTicketsForDraw(drawId);
+        } catch (err) {
+            console.error(`Saved ticket re-check failed for draw ${drawId}:`, err.message);
+        }
+        try {
+            await notifyDrawUpdated(drawId, { becameFinal });
+        } catch (err) {
+            console.error(`Notifications failed for draw ${drawId}:`, err.message);
+        }
+    }
+    return result;
+}
+
+// Normalise a winning ticket ("gb123456" -> "GB 123456", "1234" stays). Returns null if invalid
+function normalizeWinningTicket(ticket) {
+    const match = String(ticket || '').replace(/\s+/g, '').toUpperCase().match(/^([A-Z]{2})?(\d{4,9})$/);
+    if (!match) return null;
+    return match[1] ? `${match[1]} ${match[2]}` : match[2];
+}
+
+function validateCategoryFields({ category_name, prize_amount }, partial) {
+    if (category_name !== undefined && (typeof category_name !== 'string' || !category_name.trim())) {
+        return 'category_name must be a non-empty string.';
+    }
+    if (prize_amount !== undefined && !(Number(prize_amount) > 0)) {
+        return 'prize_amount must be a positive number.';
+    }
+    if (!partial && (category_name === undefined || prize_amount === undefined)) {
+        return 'category_name and prize_amount are required.';
+    }
+    return null;
+}
+
+const notFound = (res, what) => res.status(404).json({ success: false, message: `${what} not found.` });
+
+// Unique keys from migration 003: one category per name in a draw, one row per ticket in a category
+const isUniqueViolation = err => err.code === '23505';
+const DUPLICATE_CATEGORY = 'The draw already has a prize category with this name.';
+const DUPLICATE_NUMBER = 'The category already has this winning number.';
+
+// Draws held back for review by the parser validation (lowest confidence first)
+router.get('/draws/review', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, draw_date, lottery_name, draw_no, pdf_url, status, confidence, anomalies
+             FROM lottery_draws
+             WHERE status = 'needs_review'
+             ORDER BY confidence ASC NULLS FIRST, draw_date DESC`
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (err) {
+        console.error('Error fetching draws for review:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Approve or hold back a draw after review. Body: { status: "final" | "needs_review" }
+router.patch('/draws/:id/status', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Draw');
+
+    const { status } = req.body || {};
+    if (!['final', 'needs_review'].includes(status)) {
+        return res.status(400).json({ success: false, message: 'status must be "final" or "needs_review".' });
+    }
+
+    try {
+        const data = await inTransaction(async (client, changed) => {
+            const current = await client.query('SELECT id, status FROM lottery_draws WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (current.rows.length === 0) return null;
+
+            const updated = await client.query(
+                `UPDATE lottery_draws
+                 SET status = $2,
+                     published_at = CASE WHEN $2 <> 'final' THEN NULL WHEN status = 'final' THEN published_at ELSE $3::timestamptz END
+                 WHERE id = $1 RETURNING id, draw_date, lottery_name, status, confidence`,
+                [req.params.id, status, new Date()]
+            );
+            changed(req.params.id, status === 'final' && current.rows[0].status !== 'final');
+            await recordAudit(client, {
+                actor: req.admin,
+                action: 'update_status',
+                entityType: 'draw',
+                entityId: req.params.id,
+                drawId: req.params.id,
+                before: { status: current.rows[0].status },
+                after: { status }
+            });
+            return updated.rows[0];
+        });
+
+        if (!data) return notFound(res, 'Draw');
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error updating draw status:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Reply to a failed re-parse: 502 if the source PDF couldn't be downloaded, 422 if
+// the PDF couldn't be read, 500 for anything else (database, storage)
+function sendReparseError(res, err, message) {
+    const status = { fetch: 502, parse: 422 }[err.stage];
+    if (!status) return res.status(500).json({ success: false, message: 'Internal Server Error' });
+    res.status(status).json({ success: false, message: `${message}: ${err.message}` });
+}
+
+// Re-download the draw's source PDF and replace its categories and numbers
+router.post('/draws/:id/reparse', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Draw');
+
+    try {
+        const data = await reparseDraw(req.params.id, { actor: req.admin });
+        if (!data) return notFound(res, 'Draw');
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error re-parsing draw:', err);
+        sendReparseError(res, err, 'Re-parse failed');
+    }
+});
+
+// Upload a corrected PDF (Content-Type: application/pdf) and re-parse from it
+router.post('/draws/:id/pdf', express.raw({ type: 'application/pdf', limit: '20mb' }), async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Draw');
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, message: 'Send the PDF as the request body with Content-Type: application/pdf.' });
+    }
+
+    try {
+        const data = await reparseDraw(req.params.id, { pdfBuffer: req.body, actor: req.admin });
+        if (!data) return notFound(res, 'Draw');
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error processing uploaded PDF:', err);
+        sendReparseError(res, err, 'Uploaded PDF could not be processed');
+    }
+});
+
+// Add a prize category the parser missed. Body: { category_name, prize_amount, winning_numbers?: [] }
+router.post('/draws/:id/categories', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Draw');
+    const body = req.body || {};
+
+    const error = validateCategoryFields(body, false);
+    const tickets = (Array.isArray(body.winning_numbers) ? body.winning_numbers : []).map(normalizeWinningTicket);
+    if (error || tickets.includes(null)) {
+        return res.status(400).json({ success: false, message: error || 'Invalid ticket in winning_numbers.' });
+    }
+
+    try {
+        const data = await inTransaction(async (client, changed) => {
+            const draw = await client.query('SELECT id FROM lottery_draws WHERE id = $1', [req.params.id]);
+            if (draw.rows.length === 0) return null;
+
+            const cat = await client.query(
+                `INSERT INTO prize_categories (draw_id, category_name, prize_amount)
+                 VALUES ($1, $2, $3) RETURNING *`,
+                [req.params.id, body.category_name.trim(), body.prize_amount]
+            );
+            const category = cat.rows[0];
+
+            for (const ticket of new Set(tickets)) {
+                const { series, number } = parseTicketString(ticket);
+                await client.query(
+                    'INSERT INTO winning_numbers (category_id, ticket_number, series, number) VALUES ($1, $2, $3, $4)',
+                    [category.id, ticket, series, number]
+                );
+            }
+
+            changed(req.params.id);
+            await recordAudit(client, {
+                actor: req.admin,
+                action: 'create_category',
+                entityType: 'prize_category',
+                entityId: category.id,
+                drawId: req.params.id,
+                after: { ...category, winning_numbers: [...new Set(tickets)] }
+            });
+            return category;
+        });
+
+        if (!data) return notFound(res, 'Draw');
+        res.status(201).json({ success: true, data });
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.status(409).json({ success: false, message: DUPLICATE_CATEGORY });
+        }
+        console.error('Error creating category:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Edit a prize category. Body: { category_name?, prize_amount? }
+router.patch('/categories/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Category');
+    const body = req.body || {};
+
+    const error = validateCategoryFields(body, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    try {
+        const data = await inTransaction(async (client, changed) => {
+            const current = await client.query('SELECT * FROM prize_categories WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (current.rows.length === 0) return null;
+            const before = current.rows[0];
+
+            const updated = await client.query(
+                `UPDATE prize_categories
+                 SET category_name = COALESCE($2, category_name), prize_amount = COALESCE($3, prize_amount)
+                 WHERE id = $1 RETURNING *`,
+                [req.params.id, body.category_name ? body.category_name.trim() : null, body.prize_amount ?? null]
+            );
+
+            changed(before.draw_id);
+            await recordAudit(client, {
+                actor: req.admin,
+                action: 'update_category',
+                entityType: 'prize_category',
+                entityId: before.id,
+                drawId: before.draw_id,
+                before,
+                after: updated.rows[0]
+            });
+            return updated.rows[0];
+        });
+
+        if (!data) return notFound(res, 'Category');
+        res.json({ success: true, data });
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.status(409).json({ success: false, message: DUPLICATE_CATEGORY });
+        }
+        console.error('Error updating category:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Delete a prize category and its winning numbers
+router.delete('/categories/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Category');
+
+    try {
+        const data = await inTransaction(async (client, changed) => {
+            const current = await client.query('SELECT * FROM prize_categories WHERE id = $1 FOR UPDATE', [req.params.id]);
+            if (current.rows.length === 0) return null;
+            const before = current.rows[0];
+
+            const numbers = await client.query(
+                'SELECT ticket_number FROM winning_numbers WHERE category_id = $1 ORDER BY ticket_number',
+                [before.id]
+            );
+            await client.query('DELETE FROM prize_categories WHERE id = $1', [before.id]);
+
+            changed(before.draw_id);
+            await recordAudit(client, {
+                actor: req.admin,
+                action: 'delete_category',
+                entityType: 'prize_category',
+                entityId: before.id,
+                drawId: before.draw_id,
+                before: { ...before, winning_numbers: numbers.rows.map(r => r.ticket_number) }
+            });
+            return before;
+        });
+
+        if (!data) return notFound(res, 'Category');
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error deleting category:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Add a winning number to a category. Body: { ticket }
+router.post('/categories/:id/numbers', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Category');
+
+    const ticket = normalizeWinningTicket((req.body || {}).ticket);
+    if (!ticket) return res.status(400).json({ success: false, message: 'Invalid ticket. Use "GB 123456" or a 4-digit number.' });
+
+    try {
+        const data = await inTransaction(async (client, changed) => {
+            const category = await client.query('SELECT id, draw_id FROM prize_categories WHERE id = $1', [req.params.id]);
+            if (category.rows.length === 0) return null;
+
+            const { series, number } = parseTicketString(ticket);
+            const inserted = await client.query(
+                `INSERT INTO winning_numbers (category_id, ticket_number, series, number)
+                 VALUES ($1, $2, $3, $4) RETURNING *`,
+                [req.params.id, ticket, series, number]
+            );
+
+            changed(category.rows[0].draw_id);
+            await recordAudit(client, {
+                actor: req.admin,
+                action: 'create_number',
+                entityType: 'winning_number',
+                entityId: inserted.rows[0].id,
+                drawId: category.rows[0].draw_id,
+                after: inserted.rows[0]
+            });
+            return inserted.rows[0];
+        });
+
+        if (!data) return notFound(res, 'Category');
+        res.status(201).json({ success: true, data });
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.status(409).json({ success: false, message: DUPLICATE_NUMBER });
+        }
+        console.error('Error adding winning number:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Correct a winning number. Body: { ticket }
+router.patch('/numbers/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Winning number');
+
+    const ticket = normalizeWinningTicket((req.body || {}).ticket);
+    if (!ticket) return res.status(400).json({ success: false, message: 'Invalid ticket. Use "GB 123456" or a 4-digit number.' });
+
+    try {
+        const data = await inTransaction(async (client, changed) => {
+            const current = await client.query(
+                `SELECT wn.*, pc.draw_id FROM winning_numbers wn
+                 JOIN prize_categories pc ON wn.category_id = pc.id
+                 WHERE wn.id = $1 FOR UPDATE OF wn`,
+                [req.params.id]
+            );
+            if (current.rows.length === 0) return null;
+            const { draw_id: drawId, ...before } = current.rows[0];
+
+            const { series, number } = parseTicketString(ticket);
+            const updated = await client.query(
+                'UPDATE winning_numbers SET ticket_number = $2, series = $3, number = $4 WHERE id = $1 RETURNING *',
+                [before.id, ticket, series, number]
+            );
+
+            changed(drawId);
+            await recordAudit(client, {
+                actor: req.admin,
+                action: 'update_number',
+                entityType: 'winning_number',
+                entityId: before.id,
+                drawId,
+                before,
+                after: updated.rows[0]
+            });
+            return updated.rows[0];
+        });
+
+        if (!data) return notFound(res, 'Winning number');
+        res.json({ success: true, data });
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.status(409).json({ success: false, message: DUPLICATE_NUMBER });
+        }
+        console.error('Error updating winning number:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+router.delete('/numbers/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) return notFound(res, 'Winning number');
+
+    try {
+        const data = await inTransaction(async (client, changed) => {
+            const current = await client.query(
+                `SELECT wn.*, pc.draw_id FROM winning_numbers wn
+                 JOIN prize_categories pc ON wn.category_id = pc.id
+                 WHERE wn.id = $1 FOR UPDATE OF wn`,
+                [req.params.id]
+            );
+            if (current.rows.length === 0) return null;
+            const { draw_id: drawId, ...before } = current.rows[0];
+
+            await client.query('DELETE FROM winning_numbers WHERE id = $1', [before.id]);
+            changed(drawId);
+            await recordAudit(client, {
+                actor: req.admin,
+                action: 'delete_number',
+                entityType: 'winning_number',
+                entityId: before.id,
+                drawId,
+                before
+            });
+            return before;
+        });
+
+        if (!data) return notFound(res, 'Winning number');
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error deleting winning number:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Audit trail of manual changes (newest first). Query: drawId, page, limit
+router.get('/audit', validateQuery({ ...PAGINATION, drawId: { type: 'uuid' } }), async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+        const data = await listAudit({ drawId: req.query.drawId, limit, offset: (page - 1) * limit });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching audit log:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+// Data exports and feeds for partner sites and analysts (mounted at /api/export)
+const express = require('express');
+const { getExportDraw, exportDraws, csvHeader, drawToCsv, latestDraws, rssFeed, atomFeed } = require('../exporter');
+const { setCacheHeaders } = require('../cache');
+const { UUID_REGEX, validateQuery, DRAW_FILTERS } = require('../validation');
+
+const router = express.Router();
+
+const FORMAT = { type: 'enum', values: ['json', 'csv'] };
+
+// Write a chunk, waiting for the client to catch up when its buffer is full.
+// Resolves false if the client has gone away.
+function write(res, chunk) {
+    if (res.destroyed) return Promise.resolve(false);
+    if (res.write(chunk)) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+        const done = ok => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            resolve(ok);
+        };
+        const onDrain = () => done(true);
+        const onClose = () => done(false);
+        res.on('drain', onDrain);
+        res.on('close', onClose);
+    });
+}
+
+const rangeQuery = validateQuery({
+    ...DRAW_FILTERS,
+    format: FORMAT,
+    status: { type: 'enum', values: ['final', 'needs_review'] }
+});
+
+// Draws with their categories and winning numbers, oldest first.
+// Query: format (json, csv), from, to, lottery, code, status (final, needs_review).
+// The response is streamed draw by draw, so a range can cover the whole archive.
+router.get('/draws', rangeQuery, async (req, res) => {
+    const { from, to } = req.query;
+    if (from && to && from > to) {
+        return res.status(400).json({ success: false, message: 'from must not be after to.' });
+    }
+    const csv = req.query.format === 'csv';
+
+    // Read the first draw before replying, so a failing query still gets a 500
+    const draws = exportDraws(req.query);
+    let next;
+    try {
+        next = await draws.next();
+    } catch (err) {
+        console.error('Error exporting draws:', err);
+        return res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+
+    if (csv) {
+        res.attachment(`kerala-lottery-results${from ? `-from-${from}` : ''}${to ? `-to-${to}` : ''}.csv`);
+    } else {
+        res.type('json');
+    }
+
+    try {
+        if (!await write(res, csv ? csvHeader() : '{"success":true,"data":[')) {
+            await draws.return();
+            return;
+        }
+
+        for (let count = 0; !next.done; count++, next = await draws.next()) {
+            const chunk = csv ? drawToCsv(next.value) : `${count > 0 ? ',' : ''}${JSON.stringify(next.value)}`;
+            if (!await write(res, chunk)) {
+                await draws.return(); // client went away: stop reading
+                return;
+            }
+        }
+        res.end(csv ? '' : ']}');
+    } catch (err) {
+        // Part of the export is already sent: cut it off so the client sees it is incomplete
+        console.error('Error streaming draw export:', err);
+        res.destroy();
+    }
+});
+
+// One draw with its categories and winning numbers. Query: format (json, csv)
+router.get('/draws/:id', validateQuery({ format: FORMAT }), async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Draw not found.' });
+    }
+
+    try {
+        const draw = await getExportDraw(req.params.id);
+        if (!draw) {
+            return res.status(404).json({ success: false, message: 'Draw not found.' });
+        }
+
+        setCacheHeaders(res, draw.status === 'final');
+        if (req.query.format === 'csv') {
+            res.attachment(`kerala-lottery-${draw.draw_no}-${draw.draw_date}.csv`);
+            return res.send(csvHeader() + drawToCsv(draw));
+        }
+        res.json({ success: true, data: draw });
+    } catch (err) {
+        console.error('Error exporting draw:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+const feedQuery = validateQuery({ limit: { type: 'int', min: 1, max: 100 }, code: DRAW_FILTERS.code });
+
+// Newly published (final) draws as RSS or Atom. Query: limit (default 20), code
+function feedRoute(type, build) {
+    return async (req, res) => {
+        const base = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+        const links = {
+            site: base,
+            self: `${base}${req.originalUrl}`,
+            draw: id => `${base}/api/draws/${id}`
+        };
+
+        try {
+            const draws = await latestDraws({ limit: parseInt(req.query.limit, 10) || 20, code: req.query.code });
+            res.type(type).send(build(draws, links));
+        } catch (err) {
+            console.error('Error building feed:', err);
+            res.status(500).json({ success: false, message: 'Internal Server Error' });
+        }
+    };
+}
+
+router.get('/feed.rss', feedQuery, feedRoute('application/rss+xml', rssFeed));
+router.get('/feed.atom', feedQuery, feedRoute('application/atom+xml', atomFeed));
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// Statistics over historical results (mounted at /api/stats).
+// Every route takes the draw filters from, to (YYYY-MM-DD), lottery (name) and code.
+const express = require('express');
+const { numberFrequency, endingFrequency, firstPrizeSeries, payouts, numberGaps } = require('../stats');
+const { validateQuery, DRAW_FILTERS } = require('../validation');
+
+const router = express.Router();
+
+const MAX_GAP_NUMBERS = 20;
+
+router.use(validateQuery({
+    ...DRAW_FILTERS,
+    limit: { type: 'int', min: 1 },
+    category: { type: 'string', maxLength: 50 },
+    groupBy: { type: 'enum', values: ['lottery', 'month'] },
+    numbers: { type: 'string', maxLength: 250 }
+}));
+
+// Check the date range and clamp the limit. Returns { filters, limit } or { error }
+function parseQuery(query) {
+    const { from, to, lottery, code } = query;
+    if (from && to && from > to) return { error: 'from must not be after to.' };
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    return { filters: { from, to, lottery, code }, limit };
+}
+
+// Run a stats query and reply with its result. validate(query) returns an
+// error message for route-specific parameters; bad parameters get a 400
+function statsRoute(label, run, validate = () => null) {
+    return async (req, res) => {
+        const parsed = parseQuery(req.query);
+        const error = parsed.error || validate(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        try {
+            const data = await run(parsed, req.query);
+            res.json({ success: true, data });
+        } catch (err) {
+            console.error(`Error fetching ${label} stats:`, err);
+            res.status(500).json({ success: false, message: 'Internal Server Error' });
+        }
+    };
+}
+
+// Comma-separated list from a query parameter
+const listParam = value => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// Most frequent winning numbers. Query: category (e.g. "Consolation"), limit
+router.get('/numbers', statsRoute('number', ({ filters, limit }, query) =>
+    numberFrequency(filters, { category: query.category, limit })));
+
+// Most common last-4 endings. Query: limit
+router.get('/endings', statsRoute('ending', ({ filters, limit }) => endingFrequency(filters, { limit })));
+
+// 1st prize series distribution, with letter counts per position
+router.get('/series', statsRoute('series', ({ filters }) => firstPrizeSeries(filters)));
+
+// Prize money paid out. Query: groupBy (lottery, month)
+router.get('/payouts', statsRoute('payout', ({ filters }, query) =>
+    payouts(filters, { groupBy: query.groupBy || 'lottery' })));
+
+// Draws since each number last won. Query: numbers (comma-separated; 4 digits match endings)
+router.get('/gaps', statsRoute(
+    'gap',
+    ({ filters }, query) => numberGaps(filters, listParam(query.numbers)),
+    query => {
+        const numbers = listParam(query.numbers);
+        if (numbers.length === 0 || numbers.length > MAX_GAP_NUMBERS || numbers.some(n => !/^\d{4,9}$/.test(n))) {
+            return `numbers must be 1 to ${MAX_GAP_NUMBERS} comma-separated numbers of 4 to 9 digits.`;
+        }
+        return null;
+    }
+));
+
+module.exports = router;
@@ -0,0 +1,73 @@
+// Saved-ticket wallet (mounted at /api/wallet, every route requires a signed-in user)
+const express = require('express');
+const { requireUser } = require('../auth');
+const {
+    STATUSES, parseSaveRequest, saveTickets, listSavedTickets, deleteSavedTicket, walletSummary
+} = require('../wallet');
+const { UUID_REGEX, validateQuery, PAGINATION } = require('../validation');
+
+const router = express.Router();
+router.use(requireUser);
+
+const ticketsQuery = validateQuery({ ...PAGINATION, status: { type: 'enum', values: STATUSES } });
+
+// Saved tickets, newest draw first. Query: status (pending, won, lost), page, limit
+router.get('/tickets', ticketsQuery, async (req, res) => {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+    try {
+        const data = await listSavedTickets(req.user.id, { status, limit, offset: (page - 1) * limit });
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching saved tickets:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Save tickets. Body: { ticket | tickets: [...], date: "YYYY-MM-DD", price, lottery?: code }
+// Tickets for a draw that is already in are checked straight away.
+router.post('/tickets', async (req, res) => {
+    const parsed = parseSaveRequest(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    try {
+        const data = await saveTickets(req.user.id, parsed);
+        res.status(201).json({ success: true, data });
+    } catch (err) {
+        console.error('Error saving tickets:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+router.delete('/tickets/:id', async (req, res) => {
+    if (!UUID_REGEX.test(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Ticket not found.' });
+    }
+
+    try {
+        if (!await deleteSavedTicket(req.user.id, req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Ticket not found.' });
+        }
+        res.json({ success: true, message: 'Ticket removed.' });
+    } catch (err) {
+        console.error('Error deleting saved ticket:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+// Ticket counts (pending, won, lost) and the total spent vs. won
+router.get('/summary', async (req, res) => {
+    try {
+        const data = await walletSummary(req.user.id);
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Error fetching wallet summary:', err);
+        res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+});
+
+module.exports = router;
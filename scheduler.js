@@ -0,0 +1,232 @@
+// Scrape scheduling. Every tick looks for recent days with fewer draws stored
+// than expected: today's draw is polled for inside the result window until it
+// is ingested, and older gaps (server asleep, result published late) are
+// caught up on startup and then every catchUpMinutes. Failed draws queued by
+// the scraper are retried on their own cron, and failed webhook deliveries
+// every minute.
+//
+// The schedule is read from config/schedule.json (or the SCHEDULE_CONFIG path):
+//   timezone        IANA zone the times and dates are in
+//   window          { start, end } ("HH:MM") when results are usually published
+//   pollMinutes     tick interval
+//   drawDays        weekdays with a draw ("sun" ... "sat")
+//   drawsPerDay     draws expected on a normal draw day
+//   catchUpDays     how many past days to check for gaps
+//   catchUpMinutes  minimum time between catch-up scrapes
+//   retryMinutes    interval for retrying queued failed draws
+//   overrides       per-date exceptions, e.g. a holiday or a bumper day:
+//                   { "date": "2025-09-05", "noDraw": true, "reason": "Thiruvonam" }
+//                   { "date": "2025-10-04", "drawsPerDay": 2, "window": { "start": "14:00", "end": "18:00" } }
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+require('dotenv').config();
+const pool = require('./db');
+const { startJob } = require('./jobs');
+const { scrapeDraws, retryFailedDraws } = require('./scraper');
+const { dueFailedDraws } = require('./failedDraws');
+const { deliverDueWebhooks } = require('./webhooks');
+
+const CONFIG_PATH = process.env.SCHEDULE_CONFIG || path.join(__dirname, 'config', 'schedule.json');
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Helper: "15:30" -> minutes since midnight
+function parseTime(value, field) {
+    const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Schedule config: ${field} must be a time like "15:00", got "${value}".`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseWindow(window, field) {
+    const start = parseTime(window && window.start, `${field}.start`);
+    const end = parseTime(window && window.end, `${field}.end`);
+    if (end < start) throw new Error(`Schedule config: ${field} ends before it starts.`);
+    return { start, end };
+}
+
+// Validate a raw config object and convert its times to minutes
+function normalizeScheduleConfig(raw) {
+    const drawDays = raw.drawDays || WEEKDAYS;
+    for (const day of drawDays) {
+        if (!WEEKDAYS.includes(day)) throw new Error(`Schedule config: unknown draw day "${day}".`);
+    }
+
+    const overrides = new Map();
+    for (const override of raw.overrides || []) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(override.date || '')) {
+            throw new Error(`Schedule config: override date must be YYYY-MM-DD, got "${override.date}".`);
+        }
+        overrides.set(override.date, {
+            noDraw: override.noDraw === true,
+            drawsPerDay: override.drawsPerDay,
+            window: override.window ? parseWindow(override.window, `override ${override.date} window`) : null,
+            reason: override.reason || null
+        });
+    }
+
+    const config = {
+        timezone: raw.timezone || 'Asia/Kolkata',
+        window: parseWindow(raw.window || { start: '15:00', end: '17:00' }, 'window'),
+        pollMinutes: raw.pollMinutes || 10,
+        drawDays,
+        drawsPerDay: raw.drawsPerDay || 1,
+        catchUpDays: raw.catchUpDays ?? 7,
+        catchUpMinutes: raw.catchUpMinutes || 60,
+        retryMinutes: raw.retryMinutes || 30,
+        overrides
+    };
+
+    // Both become "*/n" cron minute fields
+    for (const field of ['pollMinutes', 'retryMinutes']) {
+        if (!Number.isInteger(config[field]) || config[field] < 1 || config[field] > 59) {
+            throw new Error(`Schedule config: ${field} must be a whole number of minutes from 1 to 59.`);
+        }
+    }
+    return config;
+}
+
+function loadScheduleConfig(file = CONFIG_PATH) {
+    return normalizeScheduleConfig(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// Helper: Date and minutes since midnight of an instant in the schedule's timezone
+function localTime(now, timezone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(now).map(p => [p.type, p.value])
+    );
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// Helper: "2025-01-02" plus n days
+function addDays(date, n) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+// What to expect on a date: { drawsPerDay, window, noDraw, reason }
+function scheduleForDate(config, date) {
+    const override = config.overrides.get(date) || {};
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    return {
+        drawsPerDay: override.drawsPerDay || config.drawsPerDay,
+        window: override.window || config.window,
+        noDraw: override.noDraw || !config.drawDays.includes(weekday),
+        reason: override.reason || null
+    };
+}
+
+// Dates (newest first) in the catch-up range with fewer draws than expected.
+// counts maps "YYYY-MM-DD" to draws already stored or queued for retry.
+// Today only counts once its result window has opened.
+function findGaps(config, counts, now) {
+    const { date: today, minutes } = localTime(now, config.timezone);
+    const gaps = [];
+
+    for (let i = 0; i <= config.catchUpDays; i++) {
+        const date = addDays(today, -i);
+        const day = scheduleForDate(config, date);
+        if (day.noDraw) continue;
+        if (i === 0 && minutes < day.window.start) continue;
+        if ((counts.get(date) || 0) < day.drawsPerDay) gaps.push(date);
+    }
+    return gaps;
+}
+
+// Decide what a tick should scrape: { dates, catchUp }.
+// Catch-up takes every gap but is rate limited; otherwise only today is polled, inside its window.
+function planTick(config, { lastCatchUpAt = null } = {}, now, gaps) {
+    const { date: today, minutes } = localTime(now, config.timezone);
+    const { window } = scheduleForDate(config, today);
+
+    const catchUpDue = !lastCatchUpAt || now - lastCatchUpAt >= config.catchUpMinutes * 60000;
+    if (catchUpDue && gaps.length > 0) return { dates: gaps, catchUp: true };
+
+    const inWindow = minutes >= window.start && minutes <= window.end;
+    if (inWindow && gaps.includes(today)) return { dates: [today], catchUp: false };
+
+    return { dates: [], catchUp: false };
+}
+
+// Draws per date since `since`. Draws still pending in the failed-draw queue count
+// as present so the retry backoff isn't bypassed; a draw that is both stored and
+// queued (a PDF that failed after the page was read) is counted once.
+async function drawCountsSince(since) {
+    const { rows } = await pool.query(
+        `SELECT to_char(draw_date, 'YYYY-MM-DD') AS date, lottery_code, draw_no
+         FROM lottery_draws WHERE draw_date >= $1
+         UNION
+         SELECT to_char(draw_date, 'YYYY-MM-DD') AS date, lottery_code, draw_no
+         FROM failed_draws WHERE draw_date >= $1 AND status = 'pending'`,
+        [since]
+    );
+    const counts = new Map();
+    for (const { date } of rows) counts.set(date, (counts.get(date) || 0) + 1);
+    return counts;
+}
+
+const state = { lastCatchUpAt: null };
+
+// One scheduler tick. Returns the started job ({ job, done }) or null
+async function runTick(config, now = new Date()) {
+    const { date: today } = localTime(now, config.timezone);
+    const counts = await drawCountsSince(addDays(today, -config.catchUpDays));
+    const plan = planTick(config, state, now, findGaps(config, counts, now));
+    if (plan.dates.length === 0) return null;
+
+    console.log(`Running scheduled ${plan.catchUp ? 'catch-up' : 'latest'} scrape for ${plan.dates.join(', ')}...`);
+    const started = await startJob(plan.catchUp ? 'catchup' : 'latest', 'scheduler', { dates: plan.dates }, () => scrapeDraws(plan.dates));
+    if (!started) {
+        console.log('Skipping scheduled scrape: another scrape job is running.');
+        return null;
+    }
+    if (plan.catchUp) state.lastCatchUpAt = now;
+    return started;
+}
+
+// Scheduler Function
+function startScheduler(config = loadScheduleConfig()) {
+    console.log('Initializing Scheduler...');
+
+    const tick = () => runTick(config).catch(err => console.error('Scheduled scrape could not start:', err.message));
+
+    // Catch up on anything missed while the server was down, then poll
+    tick();
+    cron.schedule(`*/${config.pollMinutes} * * * *`, tick, { timezone: config.timezone });
+
+    // Retry queued failures, including outside the result window
+    cron.schedule(`*/${config.retryMinutes} * * * *`, async () => {
+        try {
+            if ((await dueFailedDraws()).length === 0) return;
+            const started = await startJob('retry', 'scheduler', {}, retryFailedDraws);
+            if (!started) console.log('Skipping failed-draw retry: another scrape job is running.');
+        } catch (err) {
+            console.error('Failed-draw retry could not start:', err.message);
+        }
+    }, { timezone: config.timezone });
+
+    // Retry webhook deliveries that are due, skipping a minute while the last run is still posting
+    cron.schedule('* * * * *', () => {
+        return deliverDueWebhooks().catch(err => console.error('Webhook retry failed:', err.message));
+    }, { noOverlap: true });
+
+    console.log(`Scheduler is running: polling every ${config.pollMinutes} mins, catching up on the last ${config.catchUpDays} days.`);
+}
+
+module.exports = {
+    CONFIG_PATH,
+    normalizeScheduleConfig,
+    loadScheduleConfig,
+    localTime,
+    scheduleForDate,
+    findGaps,
+    planTick,
+    drawCountsSince,
+    runTick,
+    startScheduler
+};
@@ -1,27 +1,23 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const { Pool } = require('pg');
 const pdf = require('pdf-parse');
-const cron = require('node-cron');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
-
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-});
+const pool = require('./db');
+const { archivePdf } = require('./storage');
+const { recordAudit, snapshotDrawResults } = require('./audit');
+const { validateDraw } = require('./validator');
+const { getFetcher } = require('./fetcher');
+const { queueFailedDraw, resolveFailedDraw, dueFailedDraws } = require('./failedDraws');
+const { findOrCreateRun, updateRun, getRun } = require('./backfillRuns');
+const { notifyDrawIngested, notifyDrawUpdated } = require('./notifications');
+const { checkSavedTickets } = require('./wallet');
+const { invalidateDrawCache } = require('./cache');
 
 const BASE_URL = 'https://statelottery.kerala.gov.in';
 const RESULT_URL = `${BASE_URL}/index.php/lottery-result-view`;
+const SOURCE_HOST = new URL(BASE_URL).host;
 
 // Headers to mimic a real browser to avoid 403/503 errors
 const AXIOS_CONFIG = {
@@ -38,135 +34,460 @@ const AXIOS_CONFIG = {
     })
 };
 
+// Parse the result listing page into [{ name, date, url, drawNo, code }]
+// (optionally only for one date or a list of dates)
+function parseResultPage(html, targetDate = null) {
+    const targetDates = targetDate ? new Set([].concat(targetDate)) : null;
+    const $ = cheerio.load(html);
+    const rows = [];
+
+    $('table tr').each((i, row) => {
+        const cols = $(row).find('td');
+        if (cols.length >= 3) {
+            const lotteryName = $(cols[0]).text().trim();
+            const drawDateRaw = $(cols[1]).text().trim();
+            const linkElement = $(cols[2]).find('a');
+            const link = linkElement.attr('href');
+
+            const parts = drawDateRaw.match(/(\d{1,2})[-/](\d{1,2})[-/](\d{4})/);
+
+            if (parts && link) {
+                const drawDateISO = `${parts[3]}-${parts[2].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
+
+                // Filter by target date if provided
+                if (targetDates && !targetDates.has(drawDateISO)) return;
+
+                const drawNo = extractDrawNo(lotteryName);
+                rows.push({
+                    name: lotteryName,
+                    date: drawDateISO,
+                    url: link.startsWith('http') ? link : `${BASE_URL}/${link}`,
+                    drawNo,
+                    code: lotteryCodeFor(drawNo)
+                });
+            }
+        }
+    });
+
+    return rows;
+}
+
+// Absolute URL of the listing's next archive page, or null on the last page.
+// Understands rel="next" and the Joomla pagination markup ("Next" links).
+function parseNextPageUrl(html, currentUrl) {
+    const $ = cheerio.load(html);
+    const link = $('a[rel="next"], li.pagination-next a, a[title="Next"]').first().attr('href')
+        || $('a').filter((i, a) => /^next\b/i.test($(a).text().trim())).first().attr('href');
+    if (!link || link === '#') return null;
+    return new URL(link, currentUrl).toString();
+}
+
+// Helper: Whether a draw from the result page is already stored
+async function drawExists(draw) {
+    const exists = await pool.query(
+        'SELECT id FROM lottery_draws WHERE lottery_code = $1 AND draw_no = $2',
+        [draw.code, draw.drawNo]
+    );
+    return exists.rows.length > 0;
+}
+
+// Scrape one draw ({ name, date, url, drawNo, code }) and store it, updating stats.
+// Failures are queued in failed_draws for retryFailedDraws(); a success clears the draw from the queue.
+async function processDraw(draw, stats) {
+    console.log(`\n--- Scraping: ${draw.name} (${draw.date}) ---`);
+
+    const fail = async (message) => {
+        stats.failed++;
+        stats.errors.push(`${draw.drawNo} (${draw.date}): ${message}`);
+        try {
+            const queued = await queueFailedDraw(draw, message);
+            console.log(queued.status === 'gave_up'
+                ? `Giving up on ${draw.drawNo} after ${queued.attempts} attempts.`
+                : `Queued ${draw.drawNo} for retry at ${queued.nextAttemptAt.toISOString()}.`);
+        } catch (queueErr) {
+            console.error(`Could not queue ${draw.drawNo} for retry:`, queueErr.message);
+        }
+    };
+
+    try {
+        // Download PDF
+        const pdfResponse = await getFetcher().get(draw.url, { ...AXIOS_CONFIG, responseType: 'arraybuffer' });
+
+        const pdfData = await pdf(pdfResponse.data);
+        const { results, dropped } = parseLotteryPdf(pdfData.text);
+
+        // Low-confidence parses are stored but held back as needs_review
+        const validation = validateDraw(draw.name, results, dropped);
+        if (validation.status !== 'final') {
+            console.warn(`Draw ${draw.date} needs review (confidence ${validation.confidence}):`,
+                validation.anomalies.map(a => a.message).join(' '));
+        }
+
+        // Keep our own copy of the PDF; fall back to the government URL if storage fails
+        let finalPdfUrl = draw.url;
+        let pdfChecksum = null;
+        try {
+            const archived = await archivePdf(draw.name, draw.date, pdfResponse.data);
+            finalPdfUrl = archived.pdfUrl;
+            pdfChecksum = archived.checksum;
+            console.log(`PDF archived at: ${finalPdfUrl}`);
+        } catch (storageErr) {
+            console.error(`PDF archive failed for ${draw.date}, using original URL:`, storageErr.message);
+        }
+
+
+        // 1. Store the draw with its winners in one transaction, so a draw is never
+        // left without its results (it would read as final with nothing won)
+        const client = await pool.connect();
+        let drawId;
+        let stored = false;
+        try {
+            await client.query('BEGIN');
+            const drawRes = await client.query(
+                `INSERT INTO lottery_draws (draw_date, lottery_name, lottery_code, draw_no, pdf_url, source_url,
+                                            pdf_checksum, status, confidence, anomalies, published_at) 
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+                 ON CONFLICT (lottery_code, draw_no) DO UPDATE SET 
+                    draw_date = EXCLUDED.draw_date,
+                    pdf_url = EXCLUDED.pdf_url,
+                    source_url = EXCLUDED.source_url,
+                    pdf_checksum = EXCLUDED.pdf_checksum,
+                    lottery_name = EXCLUDED.lottery_name,
+                    status = EXCLUDED.status,
+                    confidence = EXCLUDED.confidence,
+                    anomalies = EXCLUDED.anomalies,
+                    published_at = CASE WHEN lottery_draws.status = 'final' AND EXCLUDED.status = 'final'
+                                        THEN lottery_draws.published_at ELSE EXCLUDED.published_at END
+                 RETURNING id`,
+                [draw.date, draw.name, draw.code, draw.drawNo, finalPdfUrl, draw.url, pdfChecksum,
+                    validation.status, validation.confidence, JSON.stringify(validation.anomalies),
+                    validation.status === 'final' ? new Date() : null]
+            );
+            drawId = drawRes.rows[0].id;
+            await insertDrawResults(client, drawId, results);
+            await client.query('COMMIT');
+            console.log(`[OK] Stored ${draw.drawNo} (${draw.date}) with ${results.length} prize categories`);
+            stats.inserted++;
+            stored = true;
+        } catch (dbErr) {
+            await client.query('ROLLBACK');
+            console.error(`Saving ${draw.drawNo} (${draw.date}) failed:`, dbErr.message);
+            await fail(`draw not saved: ${dbErr.message}`);
+        } finally {
+            client.release();
+        }
+        if (!stored) return;
+        await resolveFailedDraw(draw);
+        invalidateDrawCache();
+
+        // 2. Tell SSE clients, webhooks and ticket watchers, and check saved tickets (never fails the draw)
+        try {
+            await notifyDrawIngested(drawId);
+        } catch (notifyErr) {
+            console.error(`Notifications failed for ${draw.date}:`, notifyErr.message);
+        }
+        try {
+            const checked = await checkSavedTickets(draw.date);
+            if (checked.checked > 0) console.log(`Checked ${checked.checked} saved tickets (${checked.won} won).`);
+        } catch (walletErr) {
+            console.error(`Saved ticket check failed for ${draw.date}:`, walletErr.message);
+        }
+    } catch (scrapeErr) {
+        console.error(`Scrape Error for ${draw.date}:`, scrapeErr.message);
+        await fail(scrapeErr.message);
+    }
+}
+
+// Scrape draws for a date, a list of dates or (with no argument) everything on the result page.
+// Returns stats for job tracking: { found, inserted, skipped, failed, errors, fatal }
 async function scrapeDraws(targetDate = null) {
-    console.log(`[${new Date().toISOString()}] Starting scraper task... Target Date: ${targetDate || 'All available'}`);
+    console.log(`[${new Date().toISOString()}] Starting scraper task... Target Date: ${targetDate ? [].concat(targetDate).join(', ') : 'All available'}`);
+    const stats = { found: 0, inserted: 0, skipped: 0, failed: 0, errors: [], fatal: false };
 
     try {
         // Fetch Lottery Website HTML
         console.log(`Fetching ${RESULT_URL}...`);
-        const { data: html } = await axios.get(RESULT_URL, AXIOS_CONFIG);
-        const $ = cheerio.load(html);
-
-        const rowsToProcess = [];
+        const { data: html } = await getFetcher().get(RESULT_URL, AXIOS_CONFIG);
 
         // 1. Find all eligible rows
-        $('table tr').each((i, row) => {
-            const cols = $(row).find('td');
-            if (cols.length >= 3) {
-                const lotteryName = $(cols[0]).text().trim();
-                const drawDateRaw = $(cols[1]).text().trim();
-                const linkElement = $(cols[2]).find('a');
-                const link = linkElement.attr('href');
-
-                const parts = drawDateRaw.match(/(\d{1,2})[-/](\d{1,2})[-/](\d{4})/);
-
-                if (parts && link) {
-                    const drawDateISO = `${parts[3]}-${parts[2].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
-
-                    // Filter by target date if provided
-                    if (targetDate && drawDateISO !== targetDate) return;
-
-                    rowsToProcess.push({
-                        name: lotteryName,
-                        date: drawDateISO,
-                        url: link.startsWith('http') ? link : `${BASE_URL}/${link}`
-                    });
-                }
-            }
-        });
+        const rowsToProcess = parseResultPage(html, targetDate);
 
         console.log(`Found ${rowsToProcess.length} possible results on page. Checking database...`);
+        stats.found = rowsToProcess.length;
 
         // 2. Process each row
         for (const draw of rowsToProcess) {
-            // Check if already in DB
-            const exists = await pool.query('SELECT id, pdf_url FROM lottery_draws WHERE draw_date = $1', [draw.date]);
-
-            if (exists.rows.length > 0) {
-                if (targetDate) console.log(`Skipping ${draw.date}: Already exists.`);
+            // Check if already in DB (several draws can share a date, so match on the draw itself)
+            if (await drawExists(draw)) {
+                if (targetDate) console.log(`Skipping ${draw.drawNo} (${draw.date}): Already exists.`);
+                stats.skipped++;
                 continue;
             }
 
-            console.log(`\n--- Scraping: ${draw.name} (${draw.date}) ---`);
-
-            try {
-                // Download PDF
-                const pdfResponse = await axios.get(draw.url, { ...AXIOS_CONFIG, responseType: 'arraybuffer' });
-
-                const filename = `${draw.name.replace(/[^a-z0-9]/gi, '_')}_${draw.date}.pdf`;
-                const pdfData = await pdf(pdfResponse.data);
-                const results = parseLotteryPdfText(pdfData.text);
-
-                // Use the original URL for storage to save space
-                const finalPdfUrl = draw.url;
-                console.log(`Using original URL for database: ${finalPdfUrl}`);
-
-
-                // 1. Update/Insert the Draw and PDF URL first (Critical step)
-                const client = await pool.connect();
-                let drawId;
-                try {
-                    await client.query('BEGIN');
-                    const drawNo = extractDrawNo(draw.name);
-                    const drawRes = await client.query(
-                        `INSERT INTO lottery_draws (draw_date, lottery_name, draw_no, pdf_url) 
-                         VALUES ($1, $2, $3, $4) 
-                         ON CONFLICT (draw_date) DO UPDATE SET 
-                            pdf_url = EXCLUDED.pdf_url,
-                            lottery_name = EXCLUDED.lottery_name,
-                            draw_no = EXCLUDED.draw_no
-                         RETURNING id`,
-                        [draw.date, draw.name, drawNo, finalPdfUrl]
-                    );
-                    drawId = drawRes.rows[0].id;
-                    await client.query('COMMIT');
-                    console.log(`[OK] PDF URL updated for ${draw.date}`);
-                } catch (dbErr) {
-                    await client.query('ROLLBACK');
-                    console.error(`Status update failed for ${draw.date}:`, dbErr.message);
-                }
-
-                // 2. Separately try to update winners (Non-critical, can't block the PDF link)
-                if (drawId) {
-                    try {
-                        await client.query('BEGIN');
-                        for (const prize of results) {
-                            const catRes = await client.query(
-                                `INSERT INTO prize_categories (draw_id, category_name, prize_amount) 
-                                 VALUES ($1, $2, $3) 
-                                 ON CONFLICT (draw_id, category_name) DO UPDATE SET prize_amount = EXCLUDED.prize_amount
-                                 RETURNING id`,
-                                [drawId, prize.category, prize.amount]
-                            );
-                            const catId = catRes.rows[0].id;
-
-                            for (const ticket of prize.tickets) {
-                                const { series, number } = parseTicketString(ticket);
-                                await client.query(
-                                    `INSERT INTO winning_numbers (category_id, ticket_number, series, number) 
-                                     VALUES ($1, $2, $3, $4)
-                                     ON CONFLICT (category_id, ticket_number) DO NOTHING`,
-                                    [catId, ticket, series, number]
-                                );
-                            }
-                        }
-                        await client.query('COMMIT');
-                    } catch (prizeErr) {
-                        await client.query('ROLLBACK');
-                        console.error(`Winners update failed for ${draw.date}:`, prizeErr.message);
-                    }
-                }
-                client.release();
-            } catch (scrapeErr) {
-                console.error(`Scrape Error for ${draw.date}:`, scrapeErr.message);
-            }
+            await processDraw(draw, stats);
         }
 
         console.log('\nScraper job finished.');
 
     } catch (err) {
         console.error('Scraper page fetch error:', err.message);
+        stats.fatal = true;
+        stats.errors.push(`Result page fetch failed: ${err.message}`);
+    }
+
+    return stats;
+}
+
+// Retry queued draws that are due (or every queued draw with { all: true }).
+// A queued draw was never stored (a draw is saved together with its winners), so there is no existence check.
+async function retryFailedDraws({ all = false } = {}) {
+    const draws = await dueFailedDraws({ all });
+    console.log(`[${new Date().toISOString()}] Retrying ${draws.length} failed draw(s)...`);
+    const stats = { found: draws.length, inserted: 0, skipped: 0, failed: 0, errors: [], fatal: false };
+
+    for (const draw of draws) {
+        await processDraw(draw, stats);
     }
+    return stats;
+}
+
+// Insert parsed prize categories and winning numbers for a draw.
+// Runs on the caller's client so it can be part of a larger transaction.
+async function insertDrawResults(client, drawId, results) {
+    for (const prize of results) {
+        const catRes = await client.query(
+            `INSERT INTO prize_categories (draw_id, category_name, prize_amount) 
+             VALUES ($1, $2, $3) 
+             ON CONFLICT (draw_id, category_name) DO UPDATE SET prize_amount = EXCLUDED.prize_amount
+             RETURNING id`,
+            [drawId, prize.category, prize.amount]
+        );
+        const catId = catRes.rows[0].id;
+
+        for (const ticket of prize.tickets) {
+            const { series, number } = parseTicketString(ticket);
+            await client.query(
+                `INSERT INTO winning_numbers (category_id, ticket_number, series, number) 
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (category_id, ticket_number) DO NOTHING`,
+                [catId, ticket, series, number]
+            );
+        }
+    }
+}
+
+// Re-parse a stored draw from its source PDF, or from an uploaded corrected PDF,
+// and atomically replace its prize categories and winning numbers.
+// Returns null if the draw doesn't exist. Errors downloading the PDF are thrown
+// with err.stage = 'fetch', and errors reading it with err.stage = 'parse'.
+async function reparseDraw(drawId, { pdfBuffer = null, actor = 'system' } = {}) {
+    const { rows } = await pool.query(
+        `SELECT id, to_char(draw_date, 'YYYY-MM-DD') AS draw_date, lottery_name, pdf_url, source_url, pdf_checksum,
+                status, confidence
+         FROM lottery_draws WHERE id = $1`,
+        [drawId]
+    );
+    if (rows.length === 0) return null;
+    const draw = rows[0];
+    const failedAt = stage => err => {
+        throw Object.assign(err, { stage });
+    };
+
+    let buffer = pdfBuffer;
+    if (!buffer) {
+        const sourceUrl = draw.source_url || draw.pdf_url;
+        console.log(`Re-downloading PDF for ${draw.draw_date} from ${sourceUrl}...`);
+        const pdfResponse = await getFetcher()
+            .get(sourceUrl, { ...AXIOS_CONFIG, responseType: 'arraybuffer' })
+            .catch(failedAt('fetch'));
+        buffer = pdfResponse.data;
+    }
+
+    const pdfData = await pdf(buffer).catch(failedAt('parse'));
+    const { results, dropped } = parseLotteryPdf(pdfData.text);
+    if (results.length === 0) {
+        failedAt('parse')(new Error('No prize categories could be parsed from the PDF.'));
+    }
+    const validation = validateDraw(draw.lottery_name, results, dropped);
+
+    // An uploaded PDF replaces our archived copy
+    const archived = pdfBuffer ? await archivePdf(draw.lottery_name, draw.draw_date, pdfBuffer) : null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await snapshotDrawResults(client, drawId);
+
+        await client.query('DELETE FROM prize_categories WHERE draw_id = $1', [drawId]);
+        await insertDrawResults(client, drawId, results);
+
+        await client.query(
+            `UPDATE lottery_draws
+             SET pdf_url = COALESCE($2, pdf_url), pdf_checksum = COALESCE($3, pdf_checksum),
+                 status = $4, confidence = $5, anomalies = $6,
+                 published_at = CASE WHEN $4 <> 'final' THEN NULL WHEN status = 'final' THEN published_at ELSE $7::timestamptz END
+             WHERE id = $1`,
+            [drawId, archived && archived.pdfUrl, archived && archived.checksum,
+                validation.status, validation.confidence, JSON.stringify(validation.anomalies), new Date()]
+        );
+
+        await recordAudit(client, {
+            actor,
+            action: pdfBuffer ? 'upload_pdf' : 'reparse',
+            entityType: 'draw',
+            entityId: drawId,
+            drawId,
+            before: {
+                pdf_checksum: draw.pdf_checksum,
+                status: draw.status,
+                confidence: draw.confidence,
+                prize_categories: before
+            },
+            after: {
+                pdf_checksum: archived ? archived.checksum : draw.pdf_checksum,
+                status: validation.status,
+                confidence: validation.confidence,
+                prize_categories: await snapshotDrawResults(client, drawId)
+            }
+        });
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    invalidateDrawCache();
+
+    // Settle saved tickets against the new results (or hold them if the draw now needs review),
+    // and tell watchers about wins once the draw is final
+    try {
+        await checkSavedTickets(draw.draw_date);
+    } catch (walletErr) {
+        console.error(`Saved ticket check failed for ${draw.draw_date}:`, walletErr.message);
+    }
+    try {
+        await notifyDrawUpdated(drawId, { becameFinal: draw.status !== 'final' && validation.status === 'final' });
+    } catch (notifyErr) {
+        console.error(`Notifications failed for ${draw.draw_date}:`, notifyErr.message);
+    }
+
+    console.log(`[OK] Re-parsed ${draw.draw_date}: ${results.length} categories, confidence ${validation.confidence}.`);
+    return {
+        drawId,
+        categories: results.length,
+        tickets: results.reduce((sum, prize) => sum + prize.tickets.length, 0),
+        status: validation.status,
+        confidence: validation.confidence,
+        anomalies: validation.anomalies
+    };
+}
+
+// Archive PDFs for draws stored before the storage layer existed (or whose upload failed).
+// Downloads from the original government URL and points pdf_url at our own copy.
+async function backfillPdfArchives() {
+    const { rows } = await pool.query(
+        `SELECT id, to_char(draw_date, 'YYYY-MM-DD') AS draw_date, lottery_name,
+                COALESCE(source_url, pdf_url) AS source_url
+         FROM lottery_draws
+         WHERE pdf_checksum IS NULL AND COALESCE(source_url, pdf_url) IS NOT NULL
+         ORDER BY draw_date DESC`
+    );
+
+    console.log(`Backfilling PDF archives for ${rows.length} draws...`);
+    let archivedCount = 0;
+
+    for (const draw of rows) {
+        const drawDate = draw.draw_date;
+        try {
+            const pdfResponse = await getFetcher().get(draw.source_url, { ...AXIOS_CONFIG, responseType: 'arraybuffer' });
+            const archived = await archivePdf(draw.lottery_name, drawDate, pdfResponse.data);
+
+            await pool.query(
+                'UPDATE lottery_draws SET pdf_url = $1, pdf_checksum = $2, source_url = $3 WHERE id = $4',
+                [archived.pdfUrl, archived.checksum, draw.source_url, draw.id]
+            );
+            archivedCount++;
+            console.log(`[OK] Archived ${drawDate}: ${archived.pdfUrl}`);
+        } catch (err) {
+            console.error(`Backfill failed for ${drawDate}:`, err.message);
+        }
+    }
+
+    if (archivedCount > 0) invalidateDrawCache(); // pdf_url changed
+
+    console.log(`PDF backfill finished: ${archivedCount}/${rows.length} archived.`);
+    return { total: rows.length, archived: archivedCount };
+}
+
+// Safety limit on archive pages per backfill session
+const MAX_BACKFILL_PAGES = 500;
+
+// Historical backfill over [from, to] for a backfill_runs row. Walks the result
+// archive page by page (newest first, following the "Next" link) and ingests every
+// missing draw in range through processDraw. Progress is saved after every page,
+// so calling it again for an unfinished run resumes at the page it stopped on.
+// Returns stats for job tracking (for this session only).
+async function backfillArchive(runId, { maxPages = MAX_BACKFILL_PAGES } = {}) {
+    const run = await getRun(runId);
+    if (!run) throw new Error(`Backfill run ${runId} not found.`);
+    const { date_from: from, date_to: to } = run;
+
+    console.log(`[${new Date().toISOString()}] Backfilling ${from} to ${to}${run.next_page_url ? ` (resuming at ${run.next_page_url})` : ''}...`);
+    const stats = { found: 0, inserted: 0, skipped: 0, failed: 0, errors: [], fatal: false };
+    const totals = () => ({
+        draws_found: run.draws_found + stats.found,
+        draws_inserted: run.draws_inserted + stats.inserted,
+        draws_skipped: run.draws_skipped + stats.skipped,
+        draws_failed: run.draws_failed + stats.failed
+    });
+    await updateRun(runId, { status: 'running', last_error: null });
+
+    let url = run.next_page_url || RESULT_URL;
+    let pages = 0;
+    while (url && pages < maxPages) {
+        let html;
+        try {
+            ({ data: html } = await getFetcher().get(url, AXIOS_CONFIG));
+        } catch (err) {
+            // Keep next_page_url on this page so a resume retries it
+            console.error(`Backfill page fetch failed (${url}):`, err.message);
+            stats.fatal = true;
+            stats.errors.push(`Archive page fetch failed (${url}): ${err.message}`);
+            await updateRun(runId, { ...totals(), status: 'failed', next_page_url: url, last_error: err.message });
+            return stats;
+        }
+
+        const rows = parseResultPage(html);
+        const inRange = rows.filter(draw => draw.date >= from && draw.date <= to);
+        stats.found += inRange.length;
+
+        for (const draw of inRange) {
+            if (await drawExists(draw)) {
+                stats.skipped++;
+                continue;
+            }
+            await processDraw(draw, stats);
+        }
+
+        // The archive is newest first: once a page reaches past the start of the range we're done
+        const reachedStart = rows.length === 0 || rows.some(draw => draw.date < from);
+        url = reachedStart ? null : parseNextPageUrl(html, url);
+        pages++;
+
+        await updateRun(runId, { ...totals(), next_page_url: url, pages_scanned: run.pages_scanned + pages });
+        console.log(`Backfill page ${run.pages_scanned + pages}: ${inRange.length} draws in range, ${stats.inserted} inserted so far.`);
+    }
+
+    if (url) {
+        // Page limit hit; the run stays resumable
+        await updateRun(runId, { status: 'pending' });
+        console.log(`Backfill paused after ${pages} pages; run it again to continue.`);
+    } else {
+        await updateRun(runId, { status: 'completed', finished_at: new Date() });
+        console.log(`Backfill finished: ${stats.inserted} inserted, ${stats.skipped} already stored, ${stats.failed} failed.`);
+    }
+    return stats;
 }
 
 // Renamed for clarity but kept export same for compatibility
@@ -185,6 +506,17 @@ function extractDrawNo(name) {
     return match ? match[1] : name.split(' ')[0];
 }
 
+// Helper: Extract Lottery Code from a Draw Number (e.g. "KR-123" -> "KR")
+function extractLotteryCode(drawNo) {
+    const match = drawNo.match(/^([A-Z]+)-\d+$/);
+    return match ? match[1] : null;
+}
+
+// Helper: Lottery code stored on a draw (falls back to the draw number, as the migration does)
+function lotteryCodeFor(drawNo) {
+    return extractLotteryCode(drawNo) || drawNo.slice(0, 10);
+}
+
 // Helper: Parse Ticket (e.g. "AA 123456" or "1234")
 function parseTicketString(ticket) {
     const clean = ticket.trim().replace(/\s+/g, ''); // Remove spaces for analysis
@@ -199,8 +531,11 @@ function parseTicketString(ticket) {
 }
 
 // KEY LOGIC: Much more robust Text Parser for Kerala Lottery PDFs
-function parseLotteryPdfText(text) {
+// Returns { results: [{ category, amount, tickets }], dropped: [{ category, reason }] }
+// where dropped lists categories that were found but couldn't be read
+function parseLotteryPdf(text) {
     const results = [];
+    const dropped = [];
 
     // Define prize categories to look for in order
     const prizeDefinitions = [
@@ -219,9 +554,6 @@ function parseLotteryPdfText(text) {
 
     // Split the text into sections based on the start of each prize
     // We'll look for strings like "Xth Prize" or "Cons Prize"
-    const sections = [];
-    let currentPos = 0;
-
     const findNextMarker = (pos) => {
         let bestMatch = null;
         for (const def of prizeDefinitions) {
@@ -259,21 +591,40 @@ function parseLotteryPdfText(text) {
                         amount: amount,
                         tickets: tickets
                     });
+                } else {
+                    dropped.push({ category: marker.def.key, reason: 'no winning numbers could be read' });
                 }
+            } else {
+                dropped.push({ category: marker.def.key, reason: 'its prize amount could not be read' });
             }
         }
         marker = nextMarker;
     }
 
-    return results;
+    // Markers can repeat (e.g. a prize name quoted in the footer); only report
+    // a category as dropped if it was never read successfully
+    const parsed = new Set(results.map(r => r.category));
+    const droppedOnce = [...new Map(dropped.filter(d => !parsed.has(d.category)).map(d => [d.category, d])).values()];
+
+    return { results, dropped: droppedOnce };
+}
+
+function parseLotteryPdfText(text) {
+    return parseLotteryPdf(text).results;
 }
 
 function extractTicketsFromBlock(block, hasSeries) {
     const tickets = [];
 
-    // Remove the header line (usually contains the prize name and amount)
-    const lines = block.split('\n');
-    const content = lines.slice(1).join('\n');
+    // Remove the header (prize name and amount). Tickets can follow it on the
+    // same line, e.g. "1st Prize Rs :250000000/- 1) TG 434222 (WAYANADU)"
+    const header = block.match(/^.*?Rs\s*:?\s*[\d,]+(?:\/-)?/);
+    const content = header ? block.slice(header[0].length) : block.split('\n').slice(1).join('\n');
+
+    // Bumpers also pay 4th/5th prizes on full series tickets
+    if (!hasSeries && /[A-Z]{2}\s*\d{6}/.test(content)) {
+        hasSeries = true;
+    }
 
     if (hasSeries) {
         // Look for [2 letters][6 digits] e.g., DF 869610 or DF869610
@@ -308,36 +659,50 @@ function extractTicketsFromBlock(block, hasSeries) {
 }
 
 
-// Scheduler Function
-function startScheduler() {
-    console.log('Initializing Scheduler...');
-
-    // Schedule to run every 10 minutes from 3:00 PM to 5:00 PM IST
-    // 3:00, 3:10, 3:20, 3:30, 3:40, 3:50, 4:00, 4:10, 4:20, 4:30, 4:40, 4:50, 5:00 PM IST
-    cron.schedule('0,10,20,30,40,50 15,16,17 * * *', () => {
-        // We only want to run at 5:00 PM on the 17th hour, so we check minutes if hour is 17
-        const now = new Date();
-        const istDate = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
-        const hours = istDate.getHours();
-        const minutes = istDate.getMinutes();
-
-        if (hours === 17 && minutes > 0) {
-            return; // Skip if it's past 5:00 PM
-        }
-
-        console.log(`Running scheduled scrape at ${istDate.toLocaleTimeString('en-IN')} IST...`);
-        scrapeLatestDraw();
-    }, {
-        scheduled: true,
-        timezone: "Asia/Kolkata"
-    });
-
-    console.log('Scheduler is running. Jobs scheduled for 3:00 PM - 5:00 PM IST every 10 mins.');
-}
-
 // Allow manual run if called directly
 if (require.main === module) {
-    scrapeLatestDraw();
+    const args = process.argv.slice(2);
+    const argValue = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : null);
+
+    if (args.includes('--backfill-pdfs')) {
+        backfillPdfArchives();
+    } else if (args.includes('--backfill')) {
+        // node scraper.js --backfill --from 2024-01-01 --to 2024-12-31
+        const from = argValue('--from');
+        const to = argValue('--to') || new Date().toISOString().slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+            console.error('Usage: npm run backfill -- --from YYYY-MM-DD [--to YYYY-MM-DD]');
+            process.exitCode = 1;
+        } else {
+            findOrCreateRun({ from, to, triggeredBy: 'cli' })
+                .then(run => backfillArchive(run.id))
+                .catch(err => {
+                    console.error('Backfill failed:', err.message);
+                    process.exitCode = 1;
+                })
+                .finally(() => pool.end());
+        }
+    } else {
+        scrapeLatestDraw();
+    }
 }
 
-module.exports = { startScheduler, scrapeLatestDraw, scrapeDraws };
+module.exports = {
+    SOURCE_HOST,
+    scrapeLatestDraw,
+    scrapeDraws,
+    retryFailedDraws,
+    reparseDraw,
+    insertDrawResults,
+    backfillPdfArchives,
+    backfillArchive,
+    extractDrawNo,
+    extractLotteryCode,
+    lotteryCodeFor,
+    parseTicketString,
+    parseResultPage,
+    parseNextPageUrl,
+    parseLotteryPdf,
+    parseLotteryPdfText,
+    extractTicketsFromBlock
+};
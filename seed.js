@@ -0,0 +1,72 @@
+// Load sample draws (db/seeds/draws.json) into a local database.
+// Run `npm run init-db` first. Draws that already exist are left untouched,
+// so seeding twice is harmless.
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const pool = require('./db');
+const { insertDrawResults, lotteryCodeFor } = require('./scraper');
+const { validateDraw } = require('./validator');
+
+const SEED_FILE = path.join(__dirname, 'db', 'seeds', 'draws.json');
+
+function loadSeedDraws(file = SEED_FILE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Insert draws ([{ date, name, drawNo, sourceUrl, results }]) with the same
+// validation status the scraper would give them. Returns { inserted, skipped }
+async function seed(draws = loadSeedDraws()) {
+    const stats = { inserted: 0, skipped: 0 };
+
+    for (const draw of draws) {
+        const code = lotteryCodeFor(draw.drawNo);
+        const exists = await pool.query(
+            'SELECT id FROM lottery_draws WHERE lottery_code = $1 AND draw_no = $2',
+            [code, draw.drawNo]
+        );
+        if (exists.rows.length > 0) {
+            console.log(`Skipping ${draw.drawNo} (${draw.date}): Already exists.`);
+            stats.skipped++;
+            continue;
+        }
+
+        const validation = validateDraw(draw.name, draw.results);
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const drawRes = await client.query(
+                `INSERT INTO lottery_draws (draw_date, lottery_name, lottery_code, draw_no, pdf_url, source_url,
+                                            status, confidence, anomalies, published_at)
+                 VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9)
+                 RETURNING id`,
+                [draw.date, draw.name, code, draw.drawNo, draw.sourceUrl || null,
+                    validation.status, validation.confidence, JSON.stringify(validation.anomalies),
+                    validation.status === 'final' ? new Date() : null]
+            );
+            await insertDrawResults(client, drawRes.rows[0].id, draw.results);
+            await client.query('COMMIT');
+            console.log(`[OK] Seeded ${draw.name} (${draw.date})`);
+            stats.inserted++;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    return stats;
+}
+
+if (require.main === module) {
+    seed()
+        .then(({ inserted, skipped }) => console.log(`Seed complete: ${inserted} inserted, ${skipped} skipped.`))
+        .catch(err => {
+            console.error('Seed failed:', err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = { SEED_FILE, loadSeedDraws, seed };
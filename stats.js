@@ -0,0 +1,172 @@
+// Statistics over the stored results (GET /api/stats/*). Every query takes the
+// common draw filters (from, to, lottery, code) and aggregates in SQL. Only final
+// draws count: results still held for review haven't been confirmed.
+const pool = require('./db');
+const { buildDrawFilters } = require('./draws');
+
+// The draw filters plus the final-only condition, as SQL conditions on "ld"
+function drawConditions(filters, params) {
+    return [...buildDrawFilters(filters, params), "ld.status = 'final'"];
+}
+
+// Winning numbers joined to their category and draw, with the filters applied.
+// Returns { from, params } where `from` is the FROM ... WHERE clause
+function winnersFrom(filters, extraConditions = [], params = []) {
+    const conditions = [...drawConditions(filters, params), ...extraConditions];
+    return {
+        from: `FROM winning_numbers wn
+               JOIN prize_categories pc ON pc.id = wn.category_id
+               JOIN lottery_draws ld ON ld.id = pc.draw_id
+               WHERE ${conditions.join(' AND ')}`,
+        params
+    };
+}
+
+// Most frequent winning numbers, optionally in one prize category
+async function numberFrequency(filters, { category = null, limit = 20 } = {}) {
+    const params = [];
+    const extra = [];
+    if (category) {
+        params.push(category);
+        extra.push(`pc.category_name = $${params.length}`);
+    }
+    const { from } = winnersFrom(filters, extra, params);
+
+    const { rows } = await pool.query(
+        `SELECT wn.number, COUNT(*)::int AS count, to_char(MAX(ld.draw_date), 'YYYY-MM-DD') AS last_seen
+         ${from}
+         GROUP BY wn.number
+         ORDER BY count DESC, wn.number
+         LIMIT $${params.length + 1}`,
+        [...params, limit]
+    );
+    return rows;
+}
+
+// Most common last-4 endings across every winning number
+async function endingFrequency(filters, { limit = 20 } = {}) {
+    const { from, params } = winnersFrom(filters);
+
+    const { rows } = await pool.query(
+        `SELECT right(wn.number, 4) AS ending, COUNT(*)::int AS count
+         ${from}
+         GROUP BY right(wn.number, 4)
+         ORDER BY count DESC, ending
+         LIMIT $${params.length + 1}`,
+        [...params, limit]
+    );
+    return rows;
+}
+
+// 1st prize series, and how often each letter appears in each position of the series
+async function firstPrizeSeries(filters) {
+    const { from, params } = winnersFrom(filters, ["pc.category_name = '1st Prize'", 'wn.series IS NOT NULL']);
+
+    const { rows } = await pool.query(
+        `SELECT wn.series, COUNT(*)::int AS count ${from}
+         GROUP BY wn.series
+         ORDER BY count DESC, wn.series`,
+        params
+    );
+
+    const total = rows.reduce((sum, row) => sum + row.count, 0);
+    const share = count => Math.round((count / total) * 10000) / 100;
+
+    const positions = [new Map(), new Map()];
+    for (const { series, count } of rows) {
+        [...series].slice(0, 2).forEach((letter, i) => positions[i].set(letter, (positions[i].get(letter) || 0) + count));
+    }
+    const letterCounts = counts => [...counts]
+        .map(([letter, count]) => ({ letter, count, share: share(count) }))
+        .sort((a, b) => b.count - a.count || a.letter.localeCompare(b.letter));
+
+    return {
+        total,
+        series: rows.map(row => ({ ...row, share: share(row.count) })),
+        letters: { first: letterCounts(positions[0]), second: letterCounts(positions[1]) }
+    };
+}
+
+// Prize money per lottery code or per month ("YYYY-MM"), newest month first.
+// A category pays its amount once per listed winning number; endings (4th prize
+// and below) are paid on every series, so for those this is the amount per listed ending.
+async function payouts(filters, { groupBy = 'lottery' } = {}) {
+    const params = [];
+    const conditions = drawConditions(filters, params);
+    const key = groupBy === 'month' ? "to_char(ld.draw_date, 'YYYY-MM')" : 'ld.lottery_code';
+
+    const { rows } = await pool.query(
+        `SELECT ${key} AS key, COUNT(*)::int AS categories, SUM(pc.prize_amount * w.tickets) AS total
+         FROM prize_categories pc
+         JOIN lottery_draws ld ON ld.id = pc.draw_id
+         JOIN (SELECT category_id, COUNT(*) AS tickets FROM winning_numbers GROUP BY category_id) w
+           ON w.category_id = pc.id
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY ${key}`,
+        params
+    );
+    const draws = await pool.query(
+        `SELECT ${key} AS key, COUNT(*)::int AS draws FROM lottery_draws ld
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY ${key}`,
+        params
+    );
+    const drawCounts = new Map(draws.rows.map(row => [row.key, row.draws]));
+
+    return rows
+        .map(row => ({ [groupBy]: row.key, draws: drawCounts.get(row.key) || 0, total: parseFloat(row.total) }))
+        .sort(groupBy === 'month'
+            ? (a, b) => b.month.localeCompare(a.month)
+            : (a, b) => b.total - a.total);
+}
+
+// For each number: how often it won, when it last did and how many draws have
+// been held since. 4-digit numbers are matched as last-4 endings.
+async function numberGaps(filters, numbers) {
+    const drawParams = [];
+    const finalDraws = drawConditions(filters, drawParams);
+
+    const gaps = [];
+    for (const number of numbers) {
+        const params = [number];
+        const match = number.length === 4 ? 'right(wn.number, 4) = $1' : 'wn.number = $1';
+        const { from } = winnersFrom(filters, [match], params);
+
+        const { rows } = await pool.query(
+            `SELECT to_char(ld.draw_date, 'YYYY-MM-DD') AS draw_date, ld.draw_no, ld.lottery_code,
+                    pc.category_name, wn.ticket_number
+             ${from}
+             ORDER BY ld.draw_date DESC, pc.prize_amount DESC`,
+            params
+        );
+        const last = rows[0] || null;
+
+        const since = [...finalDraws];
+        const sinceParams = [...drawParams];
+        if (last) {
+            sinceParams.push(last.draw_date);
+            since.push(`ld.draw_date > $${sinceParams.length}`);
+        }
+        const count = await pool.query(
+            `SELECT COUNT(*)::int AS draws FROM lottery_draws ld
+             WHERE ${since.join(' AND ')}`,
+            sinceParams
+        );
+
+        gaps.push({
+            number,
+            appearances: rows.length,
+            lastSeen: last && {
+                date: last.draw_date,
+                drawNo: last.draw_no,
+                lotteryCode: last.lottery_code,
+                category: last.category_name,
+                ticket: last.ticket_number
+            },
+            drawsSince: count.rows[0].draws
+        });
+    }
+    return gaps;
+}
+
+module.exports = { numberFrequency, endingFrequency, firstPrizeSeries, payouts, numberGaps };
@@ -0,0 +1,82 @@
+// PDF archive storage: keeps our own copy of each result PDF so pdf_url
+// doesn't depend on statelottery.kerala.gov.in staying up.
+// Backend is chosen with PDF_STORAGE=local (default) or PDF_STORAGE=supabase
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+const LOCAL_PDF_DIR = path.join(__dirname, 'public', 'pdfs');
+
+// Helper: SHA-256 checksum of a downloaded PDF
+function checksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Helper: Safe file name for a draw PDF (e.g. "KARUNYA_KR_700_2025-01-04.pdf")
+function pdfFilename(lotteryName, drawDate) {
+    return `${lotteryName.replace(/[^a-z0-9]/gi, '_')}_${drawDate}.pdf`;
+}
+
+// Local filesystem backend, served by index.js under /public
+function createLocalStorage({ dir = LOCAL_PDF_DIR, baseUrl = process.env.PUBLIC_BASE_URL || '' } = {}) {
+    return {
+        name: 'local',
+        async save(filename, buffer) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(path.join(dir, filename), buffer);
+            return `${baseUrl.replace(/\/$/, '')}/public/pdfs/${encodeURIComponent(filename)}`;
+        }
+    };
+}
+
+// Supabase Storage backend (bucket must be public for the URL to be readable)
+function createSupabaseStorage({
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY),
+    bucket = process.env.SUPABASE_STORAGE_BUCKET || 'lottery-pdfs'
+} = {}) {
+    return {
+        name: 'supabase',
+        async save(filename, buffer) {
+            const { error } = await client.storage
+                .from(bucket)
+                .upload(filename, buffer, { contentType: 'application/pdf', upsert: true });
+            if (error) throw new Error(`Supabase upload failed: ${error.message}`);
+
+            const { data } = client.storage.from(bucket).getPublicUrl(filename);
+            return data.publicUrl;
+        }
+    };
+}
+
+let storage = null;
+
+// Configured storage backend (created on first use)
+function getStorage() {
+    if (!storage) {
+        storage = process.env.PDF_STORAGE === 'supabase' ? createSupabaseStorage() : createLocalStorage();
+    }
+    return storage;
+}
+
+// Replace the storage backend (used by tests)
+function setStorage(backend) {
+    storage = backend;
+}
+
+// Store a PDF and return { pdfUrl, checksum } for the lottery_draws row
+async function archivePdf(lotteryName, drawDate, buffer) {
+    const pdfUrl = await getStorage().save(pdfFilename(lotteryName, drawDate), Buffer.from(buffer));
+    return { pdfUrl, checksum: checksum(buffer) };
+}
+
+module.exports = {
+    checksum,
+    pdfFilename,
+    createLocalStorage,
+    createSupabaseStorage,
+    getStorage,
+    setStorage,
+    archivePdf
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestDb, seedDraw, loadFixture } = require('./helpers/testDb');
+const { parseLotteryPdfText } = require('../scraper');
+const app = require('../index');
+
+// A bumper drawn on the same day as the weekly lottery
+test.before(async () => {
+    await createTestDb();
+    await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: parseLotteryPdfText(loadFixture('karunya-plus-kn-555.txt'))
+    });
+    await seedDraw({
+        date: '2025-01-02',
+        name: 'CHRISTMAS NEW YEAR BUMPER BR-101',
+        drawNo: 'BR-101',
+        results: parseLotteryPdfText(loadFixture('thiruvonam-bumper-br-99.txt'))
+    });
+});
+
+test('GET /api/check finds a bumper win on a day with two draws', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: 'TG 434222' });
+
+    assert.equal(res.body.result, 'WIN');
+    assert.equal(res.body.data.drawNo, 'BR-101');
+    assert.equal(res.body.data.prizeName, '1st Prize');
+});
+
+test('GET /api/check only checks the draw that uses the ticket series', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: 'PN 428811' });
+
+    assert.equal(res.body.data.drawNo, 'KN-555');
+    assert.deepEqual(res.body.data.drawsChecked.map(d => d.drawNo), ['KN-555']);
+});
+
+test('GET /api/check checks every draw when the series is unknown', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: '0383' });
+
+    assert.equal(res.body.result, 'WIN');
+    assert.deepEqual(res.body.data.drawsChecked.map(d => [d.drawNo, d.result]), [['BR-101', 'NO_WIN'], ['KN-555', 'WIN']]);
+});
+
+test('GET /api/check can be narrowed to one lottery', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: '0383', lottery: 'BR' });
+
+    assert.equal(res.body.result, 'NO_WIN');
+    assert.equal(res.body.data.drawNo, 'BR-101');
+});
+
+test('POST /api/check/bulk reports which draw each ticket won in', async () => {
+    const res = await request(app).post('/api/check/bulk').send({ date: '2025-01-02', tickets: ['TG 434222', 'PN 428811'] });
+    const { draws, results } = res.body.data;
+
+    assert.equal(draws.length, 2);
+    assert.deepEqual(results.map(r => [r.ticket, r.drawNo, r.prizeName]), [
+        ['TG 434222', 'BR-101', '1st Prize'],
+        ['PN 428811', 'KN-555', '1st Prize']
+    ]);
+});
+
+test('GET /api/draws/by-date/:date returns every draw of the day', async () => {
+    const res = await request(app).get('/api/draws/by-date/2025-01-02');
+    assert.deepEqual(res.body.data.map(d => d.draw_no), ['BR-101', 'KN-555']);
+
+    const filtered = await request(app).get('/api/draws/by-date/2025-01-02').query({ code: 'KN' });
+    assert.deepEqual(filtered.body.data.map(d => d.draw_no), ['KN-555']);
+});
@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestDb, seedDraw, loadFixture } = require('./helpers/testDb');
+const { parseLotteryPdfText, SOURCE_HOST } = require('../scraper');
+const { recordSourceContact, setFetcher } = require('../fetcher');
+const { setStorage } = require('../storage');
+const { makePdf } = require('./helpers/pdf');
+const app = require('../index');
+
+let regularDrawId;
+
+test.before(async () => {
+    await createTestDb();
+    regularDrawId = await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: parseLotteryPdfText(loadFixture('karunya-plus-kn-555.txt'))
+    });
+    await seedDraw({
+        date: '2024-10-09',
+        name: 'THIRUVONAM BUMPER BR-99',
+        drawNo: 'BR-99',
+        results: parseLotteryPdfText(loadFixture('thiruvonam-bumper-br-99.txt')),
+        status: 'needs_review'
+    });
+});
+
+test('GET /api/check finds the 1st prize', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: 'PN 428811' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.result, 'WIN');
+    assert.equal(res.body.data.prizeName, '1st Prize');
+    assert.equal(res.body.data.provisional, false);
+
+    const { payout } = res.body.data;
+    assert.equal(payout.netAmount, 4728960);
+    assert.equal(payout.claim.deadline, '2025-02-01');
+    assert.equal(payout.claim.office, 'Directorate of State Lotteries, Thiruvananthapuram');
+});
+
+test('GET /api/check matches a 4th prize on the last 4 digits', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: 'PZ 990383' });
+
+    assert.equal(res.body.result, 'WIN');
+    assert.equal(res.body.data.prizeName, '4th Prize');
+});
+
+test('GET /api/check reports no win and missing draws', async () => {
+    const noWin = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: 'PN 000001' });
+    assert.equal(noWin.body.result, 'NO_WIN');
+
+    const noDraw = await request(app).get('/api/check').query({ date: '2025-01-05', ticket: 'PN 000001' });
+    assert.equal(noDraw.body.found, false);
+});
+
+test('GET /api/check validates input', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2025-01-02', ticket: 'ABC' });
+    assert.equal(res.status, 400);
+});
+
+test('GET /api/check marks draws under review as provisional', async () => {
+    const res = await request(app).get('/api/check').query({ date: '2024-10-09', ticket: 'TG 434222' });
+
+    assert.equal(res.body.data.prizeName, '1st Prize');
+    assert.equal(res.body.data.provisional, true);
+});
+
+test('GET /api/check needs the full ticket for bumper 4th prizes', async () => {
+    const win = await request(app).get('/api/check').query({ date: '2024-10-09', ticket: 'TA 350894' });
+    assert.equal(win.body.data.prizeName, '4th Prize');
+
+    const lastFourOnly = await request(app).get('/api/check').query({ date: '2024-10-09', ticket: 'TB 350894' });
+    assert.equal(lastFourOnly.body.result, 'NO_WIN');
+});
+
+test('POST /api/check/bulk checks ranges across draws and totals winnings', async () => {
+    const res = await request(app)
+        .post('/api/check/bulk')
+        .send({ dates: ['2025-01-02', '2025-01-05'], tickets: ['PN 428800-PN 428811', '0383'] });
+
+    assert.equal(res.status, 200);
+    const { draws, results, summary } = res.body.data;
+    assert.deepEqual(draws.map(d => d.found), [true, false]);
+    assert.equal(results.length, 13);
+    assert.deepEqual(summary, { ticketsChecked: 13, drawsChecked: 1, winningTickets: 2, totalWinnings: 8005000 });
+});
+
+test('POST /api/check/bulk rejects invalid ranges and lottery filters', async () => {
+    const res = await request(app).post('/api/check/bulk').send({ date: '2025-01-02', tickets: ['PN 2-PN 1'] });
+    assert.equal(res.status, 400);
+
+    // Ranges share the ticket limit instead of each getting the whole of it
+    const ranges = Array.from({ length: 3 }, (_, i) => `PN ${i}00000-PN ${i}00399`);
+    const tooMany = await request(app).post('/api/check/bulk').send({ date: '2025-01-02', tickets: ranges });
+    assert.equal(tooMany.status, 400);
+    assert.match(tooMany.body.message, /limit of 200 tickets/);
+
+    for (const lottery of [{ code: 'KN' }, ['KN'], 'K'.repeat(51)]) {
+        const invalid = await request(app).post('/api/check/bulk').send({ date: '2025-01-02', tickets: ['PN 428811'], lottery });
+        assert.equal(invalid.status, 400);
+        assert.match(invalid.body.message, /lottery must be/);
+    }
+});
+
+test('GET /api/search finds wins across draws without a date', async () => {
+    const res = await request(app).get('/api/search').query({ ticket: 'PO 428811' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.matches.length, 1);
+    assert.equal(res.body.data.matches[0].prizeName, 'Consolation');
+});
+
+test('GET /api/search applies the lottery filter', async () => {
+    const res = await request(app).get('/api/search').query({ ticket: 'TG 434222', lottery: 'karunya' });
+    assert.deepEqual(res.body.data.matches, []);
+});
+
+test('GET /api/draws paginates newest first', async () => {
+    const res = await request(app).get('/api/draws').query({ limit: 1, page: 2 });
+
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.data[0].draw_no, 'BR-99');
+    assert.deepEqual(res.body.pagination, { page: 2, limit: 1, total: 2, totalPages: 2 });
+});
+
+test('GET /api/draws/:id returns the full result sheet', async () => {
+    const res = await request(app).get(`/api/draws/${regularDrawId}`);
+
+    assert.equal(res.status, 200);
+    const categories = res.body.data.prize_categories;
+    assert.equal(categories[0].category_name, '1st Prize');
+    assert.deepEqual(categories[0].winning_numbers, ['PN 428811']);
+    assert.equal(categories.length, 10);
+});
+
+test('GET /api/draws/by-date/:date returns 404 for unknown dates', async () => {
+    const res = await request(app).get('/api/draws/by-date/2025-01-05');
+    assert.equal(res.status, 404);
+});
+
+test('GET /api/lotteries builds the catalogue from stored draws', async () => {
+    const res = await request(app).get('/api/lotteries');
+    const codes = res.body.data.map(l => [l.code, l.name, l.latestDrawNo, l.drawCount]);
+
+    assert.deepEqual(codes, [
+        ['KN', 'KARUNYA PLUS', 'KN-555', 1],
+        ['BR', 'THIRUVONAM BUMPER', 'BR-99', 1]
+    ]);
+});
+
+test('admin routes require an API key', async () => {
+    process.env.ADMIN_API_KEY = 'test-key';
+
+    const denied = await request(app).get('/api/admin/jobs');
+    assert.equal(denied.status, 401);
+
+    const allowed = await request(app).get('/api/admin/jobs').set('Authorization', 'Bearer test-key');
+    assert.equal(allowed.status, 200);
+    assert.deepEqual(allowed.body.data, []);
+
+    // Named keys may contain ":"
+    process.env.ADMIN_API_KEYS = 'ops:abc:def';
+    try {
+        const named = await request(app).get('/api/admin/jobs').set('X-API-Key', 'abc:def');
+        assert.equal(named.status, 200);
+    } finally {
+        delete process.env.ADMIN_API_KEYS;
+    }
+});
+
+test('admin corrections reject duplicate categories and winning numbers with 409', async () => {
+    process.env.ADMIN_API_KEY = 'test-key';
+    const admin = (method, url, body) => request(app)[method](url).set('Authorization', 'Bearer test-key').send(body);
+
+    const draw = await request(app).get(`/api/draws/${regularDrawId}`);
+    const [first, second] = draw.body.data.prize_categories;
+    const ticket = first.winning_numbers[0];
+
+    const category = await admin('post', `/api/admin/draws/${regularDrawId}/categories`, {
+        category_name: first.category_name,
+        prize_amount: 1000
+    });
+    assert.equal(category.status, 409);
+    assert.match(category.body.message, /already has a prize category/);
+
+    const renamed = await admin('patch', `/api/admin/categories/${second.id}`, { category_name: first.category_name });
+    assert.equal(renamed.status, 409);
+
+    const number = await admin('post', `/api/admin/categories/${first.id}/numbers`, { ticket });
+    assert.equal(number.status, 409);
+    assert.match(number.body.message, /already has this winning number/);
+});
+
+test('re-parse failures answer 502, 422 or 500 depending on what failed', async () => {
+    process.env.ADMIN_API_KEY = 'test-key';
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'error', () => {});
+    const reparse = () => request(app).post(`/api/admin/draws/${regularDrawId}/reparse`).set('Authorization', 'Bearer test-key');
+    const upload = body => request(app)
+        .post(`/api/admin/draws/${regularDrawId}/pdf`)
+        .set('Authorization', 'Bearer test-key')
+        .set('Content-Type', 'application/pdf')
+        .send(Buffer.from(body));
+
+    try {
+        setFetcher({ get: async () => { throw Object.assign(new Error('HTTP 503'), { response: { status: 503 } }); } });
+        assert.equal((await reparse()).status, 502);
+
+        setFetcher({ get: async () => ({ data: new Uint8Array(Buffer.from('not a pdf')) }) });
+        assert.equal((await reparse()).status, 422);
+        assert.equal((await upload('not a pdf')).status, 422);
+
+        // A valid PDF that can't be archived is a server error, not a bad upload
+        setStorage({ name: 'broken', save: async () => { throw new Error('bucket unavailable'); } });
+        const failed = await upload(makePdf(loadFixture('karunya-plus-kn-555.txt')));
+        assert.equal(failed.status, 500);
+        assert.equal(failed.body.message, 'Internal Server Error');
+    } finally {
+        setFetcher(null);
+        setStorage(null);
+        test.mock.restoreAll();
+    }
+});
+
+test('GET /api/status reports source health and the failed-draw queue', async () => {
+    const healthy = await request(app).get('/api/status');
+    assert.equal(healthy.status, 200);
+    assert.equal(healthy.body.data.status, 'ok');
+    assert.equal(healthy.body.data.lastSuccessfulScrape, null);
+    assert.equal(healthy.body.data.pendingDraws, 0);
+
+    await recordSourceContact(SOURCE_HOST, Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }));
+
+    const degraded = await request(app).get('/');
+    assert.equal(degraded.body.data.status, 'degraded');
+    assert.equal(degraded.body.data.source.lastError, 'ECONNABORTED');
+    assert.equal(degraded.body.data.source.consecutiveFailures, 1);
+    assert.equal(degraded.body.data.source.lastReachedAt, null);
+
+    // An error response still means the source answered
+    await recordSourceContact(SOURCE_HOST, Object.assign(new Error('unavailable'), { response: { status: 503 } }));
+    const answered = await request(app).get('/api/status');
+    assert.equal(answered.body.data.source.lastError, 'HTTP 503');
+    assert.equal(answered.body.data.source.consecutiveFailures, 2);
+    assert.ok(answered.body.data.source.lastReachedAt);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestDb, loadFixture } = require('./helpers/testDb');
+const { makePdf } = require('./helpers/pdf');
+const db = require('../db');
+const { setFetcher } = require('../fetcher');
+const { setStorage } = require('../storage');
+const { backfillArchive, parseNextPageUrl } = require('../scraper');
+const { findOrCreateRun, getRun } = require('../backfillRuns');
+const app = require('../index');
+
+const ARCHIVE_URL = 'https://statelottery.kerala.gov.in/index.php/lottery-result-view';
+const PDF_URL = id => `https://statelottery.kerala.gov.in/index.php/lottery-result-view/lottery-result-pdf?id=${id}`;
+
+// Fake site: two archive pages and the KN-555 PDF; anything else is a 404
+function fakeSite({ failing = new Set() } = {}) {
+    const pages = {
+        [ARCHIVE_URL]: loadFixture('archive-page-1.html'),
+        [`${ARCHIVE_URL}?start=2`]: loadFixture('archive-page-2.html'),
+        [PDF_URL('KN-555')]: makePdf(loadFixture('karunya-plus-kn-555.txt'))
+    };
+    const requested = [];
+    setFetcher({
+        get: async url => {
+            requested.push(url);
+            if (failing.has(url) || !pages[url]) {
+                throw Object.assign(new Error('HTTP 404'), { response: { status: 404 } });
+            }
+            return { data: pages[url] };
+        }
+    });
+    return requested;
+}
+
+test.beforeEach(async () => {
+    await createTestDb();
+    setStorage({ name: 'memory', save: async filename => `memory://${filename}` });
+    for (const method of ['log', 'warn', 'error']) test.mock.method(console, method, () => {});
+});
+test.afterEach(() => {
+    test.mock.restoreAll();
+    setFetcher(null);
+    setStorage(null);
+});
+
+test('parseNextPageUrl follows the pagination Next link', () => {
+    assert.equal(parseNextPageUrl(loadFixture('archive-page-1.html'), ARCHIVE_URL), `${ARCHIVE_URL}?start=2`);
+    assert.equal(parseNextPageUrl(loadFixture('result-page.html'), ARCHIVE_URL), null);
+});
+
+test('backfillArchive ingests missing draws in range and stops past the start date', async () => {
+    const requested = fakeSite();
+    const run = await findOrCreateRun({ from: '2024-12-01', to: '2025-01-02', triggeredBy: 'test' });
+
+    const stats = await backfillArchive(run.id);
+
+    // KN-555 and W-800 are in range; W-800's PDF is missing
+    assert.deepEqual([stats.found, stats.inserted, stats.failed], [2, 1, 1]);
+    assert.ok(!requested.includes(`${ARCHIVE_URL}?start=4`), 'page 3 is older than the range');
+    assert.ok(!requested.includes(PDF_URL('SK-83')), 'SK-83 is after the range');
+
+    const { rows } = await db.query('SELECT draw_no, status FROM lottery_draws');
+    assert.deepEqual(rows, [{ draw_no: 'KN-555', status: 'final' }]);
+    const failed = await db.query('SELECT draw_no FROM failed_draws');
+    assert.deepEqual(failed.rows, [{ draw_no: 'W-800' }]);
+
+    const saved = await getRun(run.id);
+    assert.equal(saved.status, 'completed');
+    assert.equal(saved.pages_scanned, 2);
+    assert.equal(saved.draws_inserted, 1);
+});
+
+test('backfillArchive resumes from the page where it failed', async () => {
+    fakeSite({ failing: new Set([`${ARCHIVE_URL}?start=2`]) });
+    const run = await findOrCreateRun({ from: '2024-12-01', to: '2025-01-02', triggeredBy: 'test' });
+
+    const first = await backfillArchive(run.id);
+    assert.equal(first.fatal, true);
+    const failedRun = await getRun(run.id);
+    assert.equal(failedRun.status, 'failed');
+    assert.equal(failedRun.next_page_url, `${ARCHIVE_URL}?start=2`);
+
+    const requested = fakeSite();
+    const resumed = await findOrCreateRun({ from: '2024-12-01', to: '2025-01-02', triggeredBy: 'test' });
+    assert.equal(resumed.id, run.id);
+    await backfillArchive(resumed.id);
+
+    assert.equal(requested[0], `${ARCHIVE_URL}?start=2`, 'page 1 is not fetched again');
+    const done = await getRun(run.id);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.pages_scanned, 2);
+    assert.equal(done.draws_inserted, 1);
+});
+
+test('POST /api/admin/backfill validates the date range', async () => {
+    process.env.ADMIN_API_KEY = 'test-key';
+    const post = body => request(app).post('/api/admin/backfill').set('X-API-Key', 'test-key').send(body);
+
+    assert.equal((await post({ from: '2025/01/01' })).status, 400);
+    assert.equal((await post({ from: '2025-02-01', to: '2025-01-01' })).status, 400);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestDb, seedDraw } = require('./helpers/testDb');
+const { exportDraws } = require('../exporter');
+const app = require('../index');
+
+let bumperId;
+
+test.before(async () => {
+    await createTestDb();
+    bumperId = await seedDraw({
+        date: '2025-01-02',
+        name: 'CHRISTMAS BUMPER BR-101',
+        drawNo: 'BR-101',
+        results: [
+            { category: '1st Prize', amount: 200000000, tickets: ['XD 387132'] },
+            { category: '5th Prize', amount: 1000, tickets: ['0123', '4567'] }
+        ]
+    });
+    await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: [{ category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] }]
+    });
+    await seedDraw({
+        date: '2025-01-04',
+        name: 'KARUNYA, "SPECIAL" KR-700',
+        drawNo: 'KR-700',
+        status: 'needs_review',
+        results: [{ category: '1st Prize', amount: 7500000, tickets: [] }]
+    });
+});
+
+test('exportDraws reads a range in batches, oldest first', async () => {
+    const drawNos = [];
+    for await (const draw of exportDraws({ from: '2025-01-01' }, { batchSize: 1 })) {
+        drawNos.push(draw.draw_no);
+    }
+    assert.deepEqual(drawNos.slice(2), ['KR-700']);
+    assert.deepEqual(drawNos.slice(0, 2).sort(), ['BR-101', 'KN-555']);
+
+    const final = [];
+    for await (const draw of exportDraws({ status: 'final', code: 'br' }, { batchSize: 1 })) final.push(draw);
+    assert.equal(final.length, 1);
+    assert.deepEqual(final[0].prize_categories[1], {
+        category_name: '5th Prize',
+        prize_amount: 1000,
+        winning_numbers: ['0123', '4567']
+    });
+});
+
+test('GET /api/export/draws streams JSON and CSV', async () => {
+    const json = await request(app).get('/api/export/draws?to=2025-01-03');
+    assert.equal(json.status, 200);
+    assert.match(json.headers['content-type'], /application\/json/);
+    assert.equal(json.body.success, true);
+    assert.equal(json.body.data.length, 2);
+    assert.equal(json.body.data[0].draw_date, '2025-01-02');
+
+    const csv = await request(app).get('/api/export/draws?format=csv&from=2025-01-01&to=2025-01-31');
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers['content-type'], /text\/csv/);
+    assert.match(csv.headers['content-disposition'], /kerala-lottery-results-from-2025-01-01-to-2025-01-31\.csv/);
+
+    const lines = csv.text.trim().split('\r\n');
+    assert.equal(lines[0], 'draw_id,draw_date,lottery_code,draw_no,lottery_name,status,category,prize_amount,ticket');
+    assert.equal(lines.length, 1 + 4 + 1);
+    assert.ok(lines.includes(`${bumperId},2025-01-02,BR,BR-101,CHRISTMAS BUMPER BR-101,final,5th Prize,1000,0123`));
+    // Quoted name, and a category without numbers
+    assert.match(lines[5], /,"KARUNYA, ""SPECIAL"" KR-700",needs_review,1st Prize,7500000,$/);
+
+    const empty = await request(app).get('/api/export/draws?format=csv&from=2030-01-01');
+    assert.equal(empty.text.trim().split('\r\n').length, 1);
+
+    assert.equal((await request(app).get('/api/export/draws?format=xml')).status, 400);
+    assert.equal((await request(app).get('/api/export/draws?from=2025-02-01&to=2025-01-01')).status, 400);
+});
+
+test('GET /api/export/draws/:id exports one draw', async () => {
+    const json = await request(app).get(`/api/export/draws/${bumperId}`);
+    assert.equal(json.body.data.lottery_code, 'BR');
+    assert.deepEqual(json.body.data.prize_categories[0].winning_numbers, ['XD 387132']);
+    assert.equal(json.headers['cache-control'], 'public, max-age=300');
+
+    const csv = await request(app).get(`/api/export/draws/${bumperId}?format=csv`);
+    assert.match(csv.headers['content-disposition'], /kerala-lottery-BR-101-2025-01-02\.csv/);
+    assert.equal(csv.text.trim().split('\r\n').length, 4);
+
+    assert.equal((await request(app).get('/api/export/draws/00000000-0000-0000-0000-000000000000')).status, 404);
+});
+
+test('RSS and Atom feeds list published draws', async () => {
+    const rss = await request(app).get('/api/export/feed.rss?limit=5');
+    assert.equal(rss.status, 200);
+    assert.match(rss.headers['content-type'], /application\/rss\+xml/);
+    assert.match(rss.text, /<rss version="2.0"/);
+    assert.equal((rss.text.match(/<item>/g) || []).length, 2); // the draw under review isn't published
+    assert.match(rss.text, /<title>CHRISTMAS BUMPER BR-101 - 2025-01-02<\/title>/);
+    assert.match(rss.text, /1st Prize \(Rs\. 20,00,00,000\): XD 387132/);
+    assert.match(rss.text, new RegExp(`/api/draws/${bumperId}</link>`));
+
+    const atom = await request(app).get('/api/export/feed.atom?code=KN');
+    assert.match(atom.headers['content-type'], /application\/atom\+xml/);
+    assert.equal((atom.text.match(/<entry>/g) || []).length, 1);
+    assert.match(atom.text, /<title>KARUNYA PLUS KN-555 - 2025-01-02<\/title>/);
+
+    assert.equal((await request(app).get('/api/export/feed.rss?limit=500')).status, 400);
+});
+
+test('a draw approved after review is listed as newly published', async () => {
+    const heldId = await seedDraw({
+        date: '2024-12-30',
+        name: 'WIN-WIN W-800',
+        drawNo: 'W-800',
+        status: 'needs_review',
+        results: [{ category: '1st Prize', amount: 7500000, tickets: ['WA 123456'] }]
+    });
+    // Stored after the held draw, but published before it is approved
+    await seedDraw({
+        date: '2024-12-31',
+        name: 'STHREE SAKTHI SS-450',
+        drawNo: 'SS-450',
+        results: [{ category: '1st Prize', amount: 7500000, tickets: ['SA 654321'] }]
+    });
+
+    process.env.ADMIN_API_KEY = 'test-key';
+    const approved = await request(app)
+        .patch(`/api/admin/draws/${heldId}/status`)
+        .set('Authorization', 'Bearer test-key')
+        .send({ status: 'final' });
+    delete process.env.ADMIN_API_KEY;
+    assert.equal(approved.status, 200);
+
+    const rss = await request(app).get('/api/export/feed.rss?limit=2');
+    const titles = [...rss.text.matchAll(/<item>\s*<title>([^<]+)<\/title>/g)].map(m => m[1]);
+    assert.deepEqual(titles, ['WIN-WIN W-800 - 2024-12-30', 'STHREE SAKTHI SS-450 - 2024-12-31']);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, loadFixture } = require('./helpers/testDb');
+const db = require('../db');
+const { setFetcher } = require('../fetcher');
+const { scrapeDraws, retryFailedDraws } = require('../scraper');
+const { MAX_ATTEMPTS, retryDelayMinutes, queueFailedDraw, resolveFailedDraw, dueFailedDraws, countFailedDraws } = require('../failedDraws');
+
+const draw = {
+    name: 'KARUNYA PLUS KN-555',
+    date: '2025-01-02',
+    url: 'https://statelottery.kerala.gov.in/index.php/lottery-result-view/lottery-result-pdf?id=KN-555',
+    drawNo: 'KN-555',
+    code: 'KN'
+};
+
+// Result page from the fixture; every PDF download fails
+const pdfDown = {
+    get: async url => {
+        if (url.includes('lottery-result-pdf')) throw Object.assign(new Error('HTTP 503'), { response: { status: 503 } });
+        return { data: loadFixture('result-page.html') };
+    }
+};
+
+test.beforeEach(async () => {
+    await createTestDb();
+    for (const method of ['log', 'error']) test.mock.method(console, method, () => {});
+});
+test.afterEach(() => {
+    test.mock.restoreAll();
+    setFetcher(null);
+});
+
+test('retryDelayMinutes doubles up to a cap', () => {
+    assert.deepEqual([1, 2, 3, 4].map(retryDelayMinutes), [15, 30, 60, 120]);
+    assert.equal(retryDelayMinutes(20), 12 * 60);
+});
+
+test('scrapeDraws queues draws whose PDF could not be fetched', async () => {
+    setFetcher(pdfDown);
+
+    const stats = await scrapeDraws('2025-01-02');
+
+    assert.equal(stats.failed, 1);
+    const { rows } = await db.query('SELECT draw_no, status, attempts, last_error FROM failed_draws');
+    assert.deepEqual(rows, [{ draw_no: 'KN-555', status: 'pending', attempts: 1, last_error: 'HTTP 503' }]);
+    // Not due until the backoff has passed
+    assert.deepEqual(await dueFailedDraws(), []);
+    await db.query("UPDATE failed_draws SET next_attempt_at = '2025-01-01T00:00:00Z'");
+    assert.deepEqual(await dueFailedDraws(), [draw]);
+});
+
+test('retryFailedDraws retries queued draws and counts the attempts', async () => {
+    setFetcher(pdfDown);
+    await queueFailedDraw(draw, 'HTTP 503');
+
+    const stats = await retryFailedDraws({ all: true });
+
+    assert.deepEqual([stats.found, stats.failed], [1, 1]);
+    const { rows } = await db.query('SELECT attempts FROM failed_draws');
+    assert.equal(rows[0].attempts, 2);
+});
+
+test('queueFailedDraw gives up after the maximum attempts', async () => {
+    let queued;
+    for (let i = 0; i < MAX_ATTEMPTS; i++) queued = await queueFailedDraw(draw, 'HTTP 503');
+
+    assert.equal(queued.status, 'gave_up');
+    assert.equal(queued.nextAttemptAt, null);
+    assert.deepEqual(await countFailedDraws(), { pending: 0, gave_up: 1 });
+});
+
+test('resolveFailedDraw removes the draw from the queue', async () => {
+    await queueFailedDraw(draw, 'HTTP 503');
+    await resolveFailedDraw(draw);
+
+    assert.deepEqual(await countFailedDraws(), { pending: 0, gave_up: 0 });
+});
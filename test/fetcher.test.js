@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backoffDelay, isRetryable, retryAfterMs, createFetcher } = require('../fetcher');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+// Fetcher with fake request/sleep that records every wait and contact
+function fakeFetcher(responses, options = {}) {
+    const calls = { requests: [], waits: [], contacts: [] };
+    const fetcher = createFetcher({
+        request: async url => {
+            calls.requests.push(url);
+            const next = responses.shift();
+            if (next instanceof Error) throw next;
+            return next;
+        },
+        sleep: async ms => { calls.waits.push(ms); },
+        recordContact: async (host, err) => { calls.contacts.push([host, err ? err.message : 'ok']); },
+        random: () => 0.5,
+        baseDelayMs: 100,
+        minIntervalMs: 0,
+        ...options
+    });
+    return { fetcher, calls };
+}
+
+test.beforeEach(() => test.mock.method(console, 'warn', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+test('backoffDelay grows exponentially with jitter and a cap', () => {
+    const opts = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+    assert.equal(backoffDelay(0, { ...opts, random: () => 0 }), 500);
+    assert.equal(backoffDelay(0, { ...opts, random: () => 1 }), 1000);
+    assert.equal(backoffDelay(2, { ...opts, random: () => 1 }), 4000);
+    assert.equal(backoffDelay(5, { ...opts, random: () => 1 }), 5000);
+});
+
+test('isRetryable retries network errors, 429 and 5xx only', () => {
+    assert.equal(isRetryable(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })), true);
+    assert.equal(isRetryable(httpError(503)), true);
+    assert.equal(isRetryable(httpError(429)), true);
+    assert.equal(isRetryable(httpError(404)), false);
+});
+
+test('retryAfterMs reads seconds from the Retry-After header', () => {
+    assert.equal(retryAfterMs(httpError(429, { 'retry-after': '7' })), 7000);
+    assert.equal(retryAfterMs(httpError(503)), null);
+});
+
+test('get retries transient failures and records each contact', async () => {
+    const { fetcher, calls } = fakeFetcher([httpError(503), httpError(502), { data: 'ok' }]);
+
+    const response = await fetcher.get('https://example.test/page');
+
+    assert.equal(response.data, 'ok');
+    assert.equal(calls.requests.length, 3);
+    assert.deepEqual(calls.waits, [75, 150]);
+    assert.deepEqual(calls.contacts.map(c => c[1]), ['HTTP 503', 'HTTP 502', 'ok']);
+});
+
+test('get gives up after the retry limit', async () => {
+    const { fetcher, calls } = fakeFetcher([httpError(503), httpError(503), httpError(503)], { retries: 2 });
+
+    await assert.rejects(fetcher.get('https://example.test/page'), /HTTP 503/);
+    assert.equal(calls.requests.length, 3);
+});
+
+test('get does not retry client errors', async () => {
+    const { fetcher, calls } = fakeFetcher([httpError(404)]);
+
+    await assert.rejects(fetcher.get('https://example.test/missing'), /HTTP 404/);
+    assert.equal(calls.requests.length, 1);
+});
+
+test('get honours Retry-After', async () => {
+    const { fetcher, calls } = fakeFetcher([httpError(429, { 'retry-after': '3' }), { data: 'ok' }]);
+
+    await fetcher.get('https://example.test/page');
+    assert.deepEqual(calls.waits, [3000]);
+});
+
+test('get spaces out requests to the same host', async () => {
+    const { fetcher, calls } = fakeFetcher([{ data: 1 }, { data: 2 }, { data: 3 }], { minIntervalMs: 60000 });
+
+    await fetcher.get('https://example.test/a');
+    await fetcher.get('https://other.test/b');
+    await fetcher.get('https://example.test/c');
+
+    // Only the second request to example.test had to wait for its slot
+    assert.equal(calls.waits.length, 1);
+    assert.ok(calls.waits[0] > 59000 && calls.waits[0] <= 60000);
+});
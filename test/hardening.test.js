@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+// Read when the app loads
+process.env.CORS_ORIGINS = 'https://results.example, https://admin.example';
+process.env.CHECK_RATE_LIMIT = '5';
+process.env.ADMIN_API_KEY = 'test-key';
+
+const { createTestDb, seedDraw } = require('./helpers/testDb');
+const { isValidDate } = require('../validation');
+const { createCache } = require('../cache');
+const app = require('../index');
+
+let finalDrawId;
+let reviewDrawId;
+
+test.before(async () => {
+    await createTestDb();
+    finalDrawId = await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: [{ category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] }]
+    });
+    reviewDrawId = await seedDraw({
+        date: '2025-01-04',
+        name: 'KARUNYA KR-700',
+        drawNo: 'KR-700',
+        status: 'needs_review',
+        results: [{ category: '1st Prize', amount: 7500000, tickets: ['PA 111234'] }]
+    });
+});
+
+test('isValidDate only accepts real calendar dates', () => {
+    assert.equal(isValidDate('2024-02-29'), true);
+    assert.equal(isValidDate('2025-02-29'), false);
+    assert.equal(isValidDate('2025-13-01'), false);
+    assert.equal(isValidDate('02-01-2025'), false);
+    assert.equal(isValidDate(undefined), false);
+});
+
+test('query parameters are validated before reaching the database', async () => {
+    const bad = [
+        '/api/draws?page=abc',
+        '/api/draws?from=2025-02-30',
+        '/api/draws?code=KN&code=KR',
+        '/api/draws/by-date/2025-02-30',
+        '/api/search?ticket=PN428811&to=yesterday',
+        '/api/prize/net?amount=lots',
+        '/api/stats/numbers?limit=0',
+        '/api/admin/audit?drawId=42'
+    ];
+    for (const url of bad) {
+        const res = await request(app).get(url).set('Authorization', 'Bearer test-key');
+        assert.equal(res.status, 400, url);
+        assert.equal(res.body.success, false);
+    }
+
+    const bulk = await request(app)
+        .post('/api/check/bulk')
+        .send({ dates: ['2025-01-02', '2025-02-30'], tickets: ['PN 428811'] });
+    assert.equal(bulk.status, 400);
+    assert.match(bulk.body.message, /2025-02-30/);
+});
+
+test('helmet headers and the CORS allowlist', async () => {
+    const allowed = await request(app).get('/api/lotteries').set('Origin', 'https://admin.example');
+    assert.equal(allowed.headers['access-control-allow-origin'], 'https://admin.example');
+    assert.equal(allowed.headers['x-content-type-options'], 'nosniff');
+    assert.equal(allowed.headers['cross-origin-resource-policy'], 'cross-origin');
+
+    const other = await request(app).get('/api/lotteries').set('Origin', 'https://elsewhere.example');
+    assert.equal(other.status, 200);
+    assert.equal(other.headers['access-control-allow-origin'], undefined);
+});
+
+test('createCache evicts the least recently used entry and expires old ones', () => {
+    let clock = 0;
+    const cache = createCache({ max: 2, ttlMs: 1000, now: () => clock });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    assert.deepEqual([cache.has('a'), cache.has('b'), cache.has('c')], [true, false, true]);
+
+    clock = 999;
+    assert.equal(cache.get('c'), 3);
+    clock = 1000;
+    assert.equal(cache.get('c'), undefined);
+    assert.equal(cache.size, 1);
+});
+
+test('finalised draws are cached with ETag and Cache-Control', async () => {
+    const first = await request(app).get(`/api/draws/${finalDrawId}`);
+    assert.equal(first.headers['cache-control'], 'public, max-age=300');
+    assert.ok(first.headers.etag);
+
+    const revalidated = await request(app).get(`/api/draws/${finalDrawId}`).set('If-None-Match', first.headers.etag);
+    assert.equal(revalidated.status, 304);
+
+    const review = await request(app).get(`/api/draws/${reviewDrawId}`);
+    assert.equal(review.headers['cache-control'], 'no-cache');
+
+    // An admin correction invalidates the cached draw
+    const categoryId = first.body.data.prize_categories[0].id;
+    const added = await request(app)
+        .post(`/api/admin/categories/${categoryId}/numbers`)
+        .set('Authorization', 'Bearer test-key')
+        .send({ ticket: 'PN 999999' });
+    assert.equal(added.status, 201);
+
+    const updated = await request(app).get(`/api/draws/${finalDrawId}`).set('If-None-Match', first.headers.etag);
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.data.prize_categories[0].winning_numbers, ['PN 428811', 'PN 999999']);
+
+    const check = await request(app).get('/api/check?date=2025-01-02&ticket=PN999999');
+    assert.equal(check.body.result, 'WIN');
+    assert.equal(check.headers['cache-control'], 'public, max-age=300');
+});
+
+test('ticket checks are rate limited per IP', async () => {
+    // The bulk check and /api/check above used 2 of the 5 checks
+    for (let i = 0; i < 3; i++) {
+        const res = await request(app).get('/api/check?date=2025-01-04&ticket=PA111234');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['ratelimit-limit'], '5');
+    }
+
+    const limited = await request(app).post('/api/check/bulk').send({ date: '2025-01-04', tickets: ['PA 111234'] });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers['ratelimit-remaining'], '0');
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+});
@@ -0,0 +1,32 @@
+// Minimal single-page PDF with one text line per input line, so the scraper's
+// PDF pipeline can run on the .txt fixtures. Returns a Uint8Array: pdf-parse
+// misreads small Node Buffers that share a pooled ArrayBuffer.
+function makePdf(text) {
+    const lines = text.split('\n');
+    const escape = line => line.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+    const height = 40 + lines.length * 10;
+    const content = ['BT', '/F1 8 Tf', '10 TL', `20 ${height - 20} Td`, ...lines.map(l => `(${escape(l)}) Tj T*`), 'ET'].join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 1200 ${height}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>`,
+        `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return new Uint8Array(Buffer.from(pdf));
+}
+
+module.exports = { makePdf };
@@ -0,0 +1,107 @@
+// In-memory Postgres (pg-mem) migrated with db/migrations and plugged into db.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { newDb, DataType } = require('pg-mem');
+const db = require('../../db');
+const { parseTicketString, lotteryCodeFor } = require('../../scraper');
+const { migrateUp } = require('../../migrate');
+const { invalidateDrawCache } = require('../../cache');
+
+// Pass { migrate: false } to get an empty database (for testing the migrations themselves)
+async function createTestDb({ migrate = true } = {}) {
+    const mem = newDb({ noAstCoverageCheck: true });
+
+    // Functions pg-mem doesn't implement natively
+    mem.registerExtension('uuid-ossp', schema => {
+        schema.registerFunction({
+            name: 'uuid_generate_v4',
+            returns: DataType.uuid,
+            implementation: () => crypto.randomUUID(),
+            impure: true
+        });
+    });
+    mem.public.registerFunction({
+        name: 'right',
+        args: [DataType.text, DataType.integer],
+        returns: DataType.text,
+        implementation: (text, n) => text.slice(-n)
+    });
+    mem.public.registerFunction({
+        name: 'left',
+        args: [DataType.text, DataType.integer],
+        returns: DataType.text,
+        implementation: (text, n) => text.slice(0, n)
+    });
+    mem.public.registerFunction({
+        name: 'split_part',
+        args: [DataType.text, DataType.text, DataType.integer],
+        returns: DataType.text,
+        implementation: (text, delimiter, n) => text.split(delimiter)[n - 1] || ''
+    });
+    // Only the YYYY, MM and DD patterns are used on dates
+    mem.public.registerFunction({
+        name: 'to_char',
+        args: [DataType.date, DataType.text],
+        returns: DataType.text,
+        implementation: (date, format) => {
+            const [year, month, day] = new Date(date).toISOString().slice(0, 10).split('-');
+            return format.replace('YYYY', year).replace('MM', month).replace('DD', day);
+        }
+    });
+    mem.public.registerOperator({
+        operator: '~',
+        left: DataType.text,
+        right: DataType.text,
+        returns: DataType.bool,
+        implementation: (text, pattern) => new RegExp(pattern).test(text)
+    });
+
+    const { Pool } = mem.adapters.createPg();
+    db.setPool(new Pool());
+    invalidateDrawCache(); // drop draws cached from a previous database
+
+    if (migrate) {
+        const log = console.log;
+        console.log = () => {}; // keep "Applying ..." out of the test output
+        try {
+            await migrateUp();
+        } finally {
+            console.log = log;
+        }
+    }
+    return mem;
+}
+
+// Insert a draw with parsed results ([{ category, amount, tickets }]); returns its id
+async function seedDraw({ date, name, drawNo, results, status = 'final', pdfUrl = null }) {
+    const draw = await db.query(
+        `INSERT INTO lottery_draws (draw_date, lottery_name, lottery_code, draw_no, pdf_url, status, published_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+        [date, name, lotteryCodeFor(drawNo), drawNo, pdfUrl, status, status === 'final' ? new Date() : null]
+    );
+    const drawId = draw.rows[0].id;
+    invalidateDrawCache();
+
+    for (const prize of results) {
+        const cat = await db.query(
+            'INSERT INTO prize_categories (draw_id, category_name, prize_amount) VALUES ($1, $2, $3) RETURNING id',
+            [drawId, prize.category, prize.amount]
+        );
+        for (const ticket of prize.tickets) {
+            const { series, number } = parseTicketString(ticket);
+            await db.query(
+                'INSERT INTO winning_numbers (category_id, ticket_number, series, number) VALUES ($1, $2, $3, $4)',
+                [cat.rows[0].id, ticket, series, number]
+            );
+        }
+    }
+
+    return drawId;
+}
+
+function loadFixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+module.exports = { createTestDb, seedDraw, loadFixture };
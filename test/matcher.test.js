@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MATCH_RULES, parseTicketInput, expandTicketRange, ruleForCategory, evaluateTicket } = require('../matcher');
+
+// Winning numbers shaped like the rows /api/check loads for a draw
+const WINNERS = [
+    { category_name: '1st Prize', series: 'GB', number: '123456', full_winning_ticket: 'GB 123456', prize_amount: '7500000.00' },
+    { category_name: 'Consolation', series: 'GA', number: '123456', full_winning_ticket: 'GA 123456', prize_amount: '8000.00' },
+    { category_name: 'Consolation', series: 'GC', number: '123456', full_winning_ticket: 'GC 123456', prize_amount: '8000.00' },
+    { category_name: '2nd Prize', series: 'GD', number: '999999', full_winning_ticket: 'GD 999999', prize_amount: '1000000.00' },
+    { category_name: '5th Prize', series: null, number: '3456', full_winning_ticket: '3456', prize_amount: '2000.00' },
+    { category_name: '8th Prize', series: null, number: '9999', full_winning_ticket: '9999', prize_amount: '200.00' }
+];
+
+const check = ticket => evaluateTicket(parseTicketInput(ticket), WINNERS);
+
+test('parseTicketInput normalises series and number', () => {
+    assert.deepEqual(parseTicketInput(' gb 123456 '), { series: 'GB', number: '123456', last4: '3456' });
+    assert.deepEqual(parseTicketInput('8765'), { series: null, number: '8765', last4: '8765' });
+});
+
+test('parseTicketInput rejects malformed tickets', () => {
+    assert.match(parseTicketInput('G1B23').error, /Invalid ticket format/);
+    assert.match(parseTicketInput('GB 123').error, /between 4 and 9 digits/);
+    assert.match(parseTicketInput('1234567890').error, /between 4 and 9 digits/);
+});
+
+test('expandTicketRange expands series ranges with and without a repeated series', () => {
+    assert.deepEqual(expandTicketRange('GB 100098–GB 100101').tickets, ['GB 100098', 'GB 100099', 'GB 100100', 'GB 100101']);
+    assert.deepEqual(expandTicketRange('GB 000001-000003').tickets, ['GB 000001', 'GB 000002', 'GB 000003']);
+});
+
+test('expandTicketRange rejects mixed series, reversed and oversized ranges', () => {
+    assert.match(expandTicketRange('GA 100000-GB 100010').error, /same series/);
+    assert.match(expandTicketRange('GB 100010-GB 100000').error, /lower than the start/);
+    assert.match(expandTicketRange('GB 100000-GB 109999', 100).error, /limit of 100/);
+});
+
+test('ruleForCategory applies Kerala rules per category', () => {
+    assert.equal(ruleForCategory('1st Prize', true), MATCH_RULES.FULL_TICKET);
+    assert.equal(ruleForCategory('Consolation', true), MATCH_RULES.NUMBER_ONLY);
+    assert.equal(ruleForCategory('7th Prize', false), MATCH_RULES.LAST_4_DIGITS);
+    // Bumper 4th/5th prizes are paid on full series tickets
+    assert.equal(ruleForCategory('4th Prize', true), MATCH_RULES.FULL_TICKET);
+    assert.equal(ruleForCategory('Special Prize', false), MATCH_RULES.LAST_4_DIGITS);
+});
+
+test('1st prize needs the full ticket and is the claimable prize', () => {
+    const { prizes, claimablePrize } = check('GB 123456');
+    assert.equal(claimablePrize.prizeName, '1st Prize');
+    assert.equal(claimablePrize.rule, MATCH_RULES.FULL_TICKET);
+    // The same ticket also matches the 5th prize ending but can only claim one prize
+    assert.deepEqual(prizes.map(p => [p.prizeName, p.claimable]), [['1st Prize', true], ['5th Prize', false]]);
+});
+
+test('last 4 digits alone never win a 1st-3rd prize', () => {
+    const { prizes } = check('GE 993456');
+    assert.deepEqual(prizes.map(p => p.prizeName), ['5th Prize']);
+    // Wrong series for the 2nd prize, but the ending still wins the 8th prize
+    assert.deepEqual(check('GE 999999').prizes.map(p => p.prizeName), ['8th Prize']);
+});
+
+test('consolation matches the number in another series but not the 1st prize ticket', () => {
+    const { claimablePrize } = check('GC 123456');
+    assert.equal(claimablePrize.prizeName, 'Consolation');
+    assert.equal(claimablePrize.winningTicket, 'GC 123456');
+    assert.ok(!check('GB 123456').prizes.some(p => p.prizeName === 'Consolation'));
+});
+
+test('a number without series reports series prizes as possible only', () => {
+    const { claimablePrize, possiblePrizes } = check('123456');
+    assert.equal(claimablePrize.prizeName, 'Consolation');
+    assert.deepEqual(possiblePrizes.map(p => p.prizeName), ['1st Prize']);
+    assert.match(possiblePrizes[0].reason, /Enter the series/);
+});
+
+test('every prize explains why it matched', () => {
+    for (const prize of check('GB 123456').prizes) {
+        assert.ok(prize.reason.length > 0);
+    }
+});
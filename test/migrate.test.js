@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb } = require('./helpers/testDb');
+const db = require('../db');
+const { loadMigrations, migrateUp, migrateDown, migrationStatus } = require('../migrate');
+const { insertDrawResults } = require('../scraper');
+const { seed, loadSeedDraws } = require('../seed');
+
+// Silence the runner's progress output
+test.beforeEach(() => test.mock.method(console, 'log', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+const versions = loadMigrations().map(m => m.version);
+
+const countRows = async table => parseInt((await db.query(`SELECT COUNT(*) AS n FROM ${table}`)).rows[0].n, 10);
+
+test('loadMigrations pairs up and down files in version order', () => {
+    const migrations = loadMigrations();
+
+    assert.deepEqual(versions.slice(0, 3), ['001', '002', '003']);
+    assert.deepEqual(versions, [...versions].sort());
+    for (const m of migrations) {
+        assert.ok(m.up && m.down, `${m.version}_${m.name} has both directions`);
+    }
+});
+
+test('migrateUp applies every migration once and records it', async () => {
+    await createTestDb({ migrate: false });
+
+    const applied = await migrateUp();
+    assert.deepEqual(applied.map(m => m.version), versions);
+    assert.ok((await migrationStatus()).every(m => m.applied));
+
+    assert.deepEqual(await migrateUp(), []);
+});
+
+// 003 only adds constraints; pg-mem keeps the names of dropped tables' indexes,
+// so migrations that drop tables can't be re-applied in memory
+test('migrateDown rolls back the latest migration and migrateUp reapplies it', async () => {
+    await createTestDb({ migrate: false });
+    await migrateUp({ to: '003' });
+
+    const rolledBack = await migrateDown();
+    assert.deepEqual(rolledBack.map(m => m.version), ['003']);
+    assert.deepEqual((await migrationStatus()).filter(m => m.applied).map(m => m.version), ['001', '002']);
+
+    assert.deepEqual((await migrateUp({ to: '003' })).map(m => m.version), ['003']);
+});
+
+test('002 backfills lottery codes on databases created before it', async () => {
+    await createTestDb({ migrate: false });
+    await migrateUp({ to: '001' });
+    await db.query(
+        "INSERT INTO lottery_draws (draw_date, lottery_name, draw_no) VALUES ('2025-01-02', 'KARUNYA PLUS KN-555', 'KN-555')"
+    );
+
+    await migrateUp();
+
+    const { rows } = await db.query('SELECT lottery_code FROM lottery_draws');
+    assert.deepEqual(rows, [{ lottery_code: 'KN' }]);
+    // The date is no longer unique
+    await db.query(
+        "INSERT INTO lottery_draws (draw_date, lottery_name, lottery_code, draw_no) VALUES ('2025-01-02', 'THIRUVONAM BUMPER BR-99', 'BR', 'BR-99')"
+    );
+});
+
+test('insertDrawResults upserts on the result unique keys', async () => {
+    await createTestDb();
+    const { rows } = await db.query(
+        "INSERT INTO lottery_draws (draw_date, lottery_name, lottery_code, draw_no) VALUES ('2025-01-02', 'KARUNYA PLUS KN-555', 'KN', 'KN-555') RETURNING id"
+    );
+    const results = [{ category: '8th Prize', amount: 100, tickets: ['0383', '1290'] }];
+
+    await insertDrawResults(db, rows[0].id, results);
+    await insertDrawResults(db, rows[0].id, [{ ...results[0], amount: 200 }]);
+
+    assert.equal(await countRows('prize_categories'), 1);
+    assert.equal(await countRows('winning_numbers'), 2);
+    assert.equal(parseFloat((await db.query('SELECT prize_amount FROM prize_categories')).rows[0].prize_amount), 200);
+});
+
+test('seed loads the sample draws and skips them on a second run', async () => {
+    await createTestDb();
+    const draws = loadSeedDraws();
+
+    assert.deepEqual(await seed(draws), { inserted: draws.length, skipped: 0 });
+    assert.deepEqual(await seed(draws), { inserted: 0, skipped: draws.length });
+
+    const { rows } = await db.query('SELECT draw_no, lottery_code, status FROM lottery_draws ORDER BY draw_no');
+    assert.deepEqual(rows, [
+        { draw_no: 'BR-99', lottery_code: 'BR', status: 'final' },
+        { draw_no: 'KN-555', lottery_code: 'KN', status: 'final' }
+    ]);
+    const tickets = draws.reduce((sum, d) => sum + d.results.reduce((n, r) => n + r.tickets.length, 0), 0);
+    assert.equal(await countRows('winning_numbers'), tickets);
+});
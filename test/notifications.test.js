@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const { createTestDb, seedDraw } = require('./helpers/testDb');
+const db = require('../db');
+const { signPayload, createWebhook, queueDeliveries, attemptDelivery, deliverDueWebhooks } = require('../webhooks');
+const { subscribe, publish, hashWatchToken, createWatches, notifyDrawIngested } = require('../notifications');
+const app = require('../index');
+
+// Local HTTP endpoint answering with the given status codes in turn
+async function startReceiver(statuses) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(received.length - 1, statuses.length - 1)];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => server.close() };
+}
+
+test.beforeEach(async () => {
+    await createTestDb();
+    for (const method of ['log', 'warn', 'error']) test.mock.method(console, method, () => {});
+});
+test.afterEach(() => test.mock.restoreAll());
+
+test('signPayload is an HMAC-SHA256 of the timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('whsec_test', 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('notifyDrawIngested publishes the draw and a ticket.won for winning watches only', async () => {
+    const drawId = await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: [
+            { category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] },
+            { category: '4th Prize', amount: 5000, tickets: ['1234'] }
+        ]
+    });
+    const winner = await createWatches({ tickets: ['PN 428811'], date: '2025-01-02' });
+    await createWatches({ tickets: ['PN 111111'], date: '2025-01-02' });
+    await createWatches({ tickets: ['PN 428811'], date: '2025-01-03' });
+
+    const events = [];
+    const unsubscribe = subscribe((event, tokenHash) => events.push({ event, tokenHash }));
+    const result = await notifyDrawIngested(drawId);
+    unsubscribe();
+
+    assert.equal(result.won, 1);
+    assert.deepEqual(events.map(e => e.event.type), ['draw.ingested', 'ticket.won']);
+    assert.equal(events[0].tokenHash, null);
+    assert.equal(events[0].event.data.drawNo, 'KN-555');
+
+    const won = events[1];
+    assert.equal(won.tokenHash, hashWatchToken(winner.token));
+    assert.equal(won.event.data.watchId, winner.watches[0].id);
+    assert.equal(won.event.data.prizeName, '1st Prize');
+    assert.equal(won.event.data.provisional, false);
+});
+
+test('ticket.won waits until a draw under review is approved, and is only sent once', async () => {
+    const drawId = await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        status: 'needs_review',
+        results: [{ category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] }]
+    });
+    await createWatches({ tickets: ['PN 428811'], date: '2025-01-02' });
+
+    const events = [];
+    const unsubscribe = subscribe(event => events.push(event));
+    try {
+        assert.equal((await notifyDrawIngested(drawId)).won, 0);
+        assert.deepEqual(events.map(e => [e.type, e.data.provisional]), [['draw.ingested', true]]);
+
+        process.env.ADMIN_API_KEY = 'test-key';
+        const admin = req => req.set('Authorization', 'Bearer test-key');
+        const approved = await admin(request(app).patch(`/api/admin/draws/${drawId}/status`)).send({ status: 'final' });
+        assert.equal(approved.status, 200);
+        assert.deepEqual(events.slice(1).map(e => [e.type, e.data.provisional]), [['draw.ingested', false], ['ticket.won', false]]);
+
+        // A later correction doesn't announce the same win again
+        const added = await admin(request(app).post(`/api/admin/draws/${drawId}/categories`))
+            .send({ category_name: '2nd Prize', prize_amount: 3000000, winning_numbers: ['PA 111111'] });
+        assert.equal(added.status, 201);
+        assert.equal(events.length, 3);
+    } finally {
+        unsubscribe();
+        delete process.env.ADMIN_API_KEY;
+    }
+});
+
+test('webhook deliveries are signed and retried after a failure', async () => {
+    const receiver = await startReceiver([500, 200]);
+    try {
+        const webhook = await createWebhook({ url: receiver.url, events: ['draw.ingested'] });
+        assert.match(webhook.secret, /^whsec_/);
+
+        const event = { id: '6f1c3b0e-2a5d-4c8e-9f1a-1b2c3d4e5f60', type: 'draw.ingested', data: { drawNo: 'KN-555' } };
+        const [deliveryId] = await queueDeliveries(event);
+        assert.deepEqual(await queueDeliveries({ ...event, type: 'ticket.won' }), [], 'not subscribed');
+
+        assert.equal(await attemptDelivery(deliveryId), 'pending');
+        // Not due yet, then due a retry interval later
+        assert.deepEqual(await deliverDueWebhooks(new Date()), { attempted: 0, delivered: 0 });
+        assert.deepEqual(await deliverDueWebhooks(new Date(Date.now() + 2 * 60000)), { attempted: 1, delivered: 1 });
+
+        assert.equal(receiver.received.length, 2);
+        const { headers, body } = receiver.received[1];
+        assert.equal(headers['x-webhook-event'], 'draw.ingested');
+        assert.equal(headers['x-webhook-signature'], signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+        assert.deepEqual(JSON.parse(body), event);
+
+        const { rows } = await db.query('SELECT status, attempts, last_status_code FROM webhook_deliveries');
+        assert.deepEqual(rows, [{ status: 'delivered', attempts: 2, last_status_code: 200 }]);
+    } finally {
+        receiver.close();
+    }
+});
+
+test('a webhook delivery is only sent by the attempt that claims it', async () => {
+    const receiver = await startReceiver([200]);
+    try {
+        await createWebhook({ url: receiver.url, events: ['draw.ingested'] });
+        const event = { id: '0b4d3c2a-1e5f-4a6b-8c7d-9e0f1a2b3c4d', type: 'draw.ingested', data: { drawNo: 'KN-555' } };
+        const [deliveryId] = await queueDeliveries(event);
+
+        // The cron doesn't pick up a delivery whose first attempt is under way
+        assert.deepEqual(await deliverDueWebhooks(new Date()), { attempted: 0, delivered: 0 });
+
+        const results = await Promise.all([attemptDelivery(deliveryId), attemptDelivery(deliveryId)]);
+        assert.deepEqual(results.sort(), ['delivered', null]);
+        assert.equal(receiver.received.length, 1);
+
+        // A claim left behind by a dead process is retried once it expires
+        const [lostId] = await queueDeliveries({ ...event, id: '1c5e4d3b-2f60-4b7c-9d8e-0f1a2b3c4d5e' });
+        await db.query("UPDATE webhook_deliveries SET status = 'sending', next_attempt_at = $2 WHERE id = $1",
+            [lostId, new Date(Date.now() + 60000)]);
+        assert.deepEqual(await deliverDueWebhooks(new Date()), { attempted: 0, delivered: 0 });
+        assert.deepEqual(await deliverDueWebhooks(new Date(Date.now() + 2 * 60000)), { attempted: 1, delivered: 1 });
+        assert.equal(receiver.received.length, 2);
+    } finally {
+        receiver.close();
+    }
+});
+
+test('GET /api/events streams published events', async () => {
+    const server = app.listen(0);
+    try {
+        const { port } = server.address();
+        const { headers, data } = await new Promise((resolve, reject) => {
+            const req = http.get(`http://127.0.0.1:${port}/api/events`, res => {
+                let data = '';
+                res.on('data', chunk => {
+                    data += chunk;
+                    const eventAt = data.indexOf('event:');
+                    if (eventAt === -1) {
+                        // Connected: publish once the stream is open
+                        publish('draw.ingested', { drawNo: 'KN-555' }).catch(reject);
+                    } else if (data.includes('\n\n', eventAt)) {
+                        req.destroy();
+                        resolve({ headers: res.headers, data });
+                    }
+                });
+            });
+            req.on('error', reject);
+        });
+
+        assert.match(headers['content-type'], /^text\/event-stream/);
+        assert.match(data, /^retry: 10000\n\n/);
+        assert.match(data, /event: draw\.ingested\ndata: \{.*"drawNo":"KN-555"/);
+    } finally {
+        server.close();
+    }
+});
+
+test('POST /api/watches validates, and watches can be listed and removed with their token', async () => {
+    assert.equal((await request(app).post('/api/watches').send({ ticket: 'PN 428811' })).status, 400);
+    assert.equal((await request(app).post('/api/watches').send({ ticket: 'XYZ', date: '2025-01-02' })).status, 400);
+    assert.equal((await request(app).post('/api/watches').send({ ticket: 'PN 428811', date: '2025-01-02', lottery: ['KN'] })).status, 400);
+
+    const created = await request(app).post('/api/watches').send({ tickets: ['pn428811', '1234'], date: '2025-01-02', lottery: 'kn' });
+    assert.equal(created.status, 201);
+    const { token, watches } = created.body.data;
+    assert.deepEqual(watches.map(w => [w.ticket, w.lottery_code]), [['PN 428811', 'KN'], ['1234', 'KN']]);
+
+    const listed = await request(app).get('/api/watches').set('X-Watch-Token', token);
+    assert.equal(listed.body.data.length, 2);
+
+    const remove = id => request(app).delete(`/api/watches/${id}`);
+    assert.equal((await remove(watches[0].id).set('X-Watch-Token', 'wrong')).status, 404);
+    assert.equal((await remove(watches[0].id).set('X-Watch-Token', token)).status, 200);
+    assert.equal((await request(app).get('/api/watches').set('X-Watch-Token', token)).body.data.length, 1);
+});
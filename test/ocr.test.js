@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestDb, seedDraw, loadFixture } = require('./helpers/testDb');
+const { parseLotteryPdfText } = require('../scraper');
+const { setRecognizer, parseTicketText, needsConfirmation } = require('../ocr');
+const app = require('../index');
+
+// OCR output as the tesseract backend returns it, every word read with the given confidence
+function ocrResult(text, confidence = 92) {
+    const words = text.split(/\s+/).filter(Boolean).map(word => ({ text: word, confidence }));
+    return { text, confidence, words };
+}
+
+const TICKET_TEXT = 'KERALA STATE LOTTERIES\nKARUNYA PLUS\nKN-555\nDraw on 02/01/2025\nPN 428811\nRs. 40/-';
+const KNOWN = [{ code: 'KN', name: 'KARUNYA PLUS' }, { code: 'KR', name: 'KARUNYA' }];
+
+test('parseTicketText reads the lottery, draw, date and ticket', () => {
+    const recognised = parseTicketText(ocrResult(TICKET_TEXT), KNOWN);
+
+    assert.equal(recognised.lotteryName.value, 'KARUNYA PLUS');
+    assert.equal(recognised.drawNo.value, 'KN-555');
+    assert.equal(recognised.date.value, '2025-01-02');
+    assert.equal(recognised.ticket, 'PN 428811');
+    assert.equal(recognised.number.confidence, 0.92);
+    assert.equal(needsConfirmation(recognised), false);
+});
+
+test('parseTicketText fixes letter/digit mix-ups and asks for confirmation', () => {
+    const recognised = parseTicketText(ocrResult('KARUNYA PLUS KN 555\nP0 42B8I1'), KNOWN);
+
+    assert.equal(recognised.ticket, 'PO 428811');
+    assert.equal(recognised.series.corrected, true);
+    assert.equal(recognised.number.corrected, true);
+    assert.equal(recognised.date, null);
+    assert.equal(needsConfirmation(recognised), true);
+
+    // Readable but unsure
+    assert.equal(needsConfirmation(parseTicketText(ocrResult(TICKET_TEXT, 55), KNOWN)), true);
+});
+
+test('POST /api/check/image checks the recognised ticket', async () => {
+    await createTestDb();
+    await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: parseLotteryPdfText(loadFixture('karunya-plus-kn-555.txt'))
+    });
+    const post = (text, type = 'image/png') => {
+        setRecognizer({ recognize: async () => ocrResult(text) });
+        return request(app).post('/api/check/image').set('Content-Type', type).send(Buffer.from('fake image'));
+    };
+
+    try {
+        // The draw number finds the draw date even when the printed date isn't read
+        const res = await post('KARUNYA PLUS KN-555\nPN 428811');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.result, 'WIN');
+        assert.equal(res.body.data.prizeName, '1st Prize');
+        assert.equal(res.body.recognised.lotteryName.value, 'KARUNYA PLUS');
+        assert.deepEqual(res.body.checkedWith, { date: '2025-01-02', ticket: 'PN 428811', lottery: 'KN' });
+        assert.equal(res.body.needsConfirmation, false);
+
+        const noTicket = await post('KARUNYA PLUS KN-555');
+        assert.equal(noTicket.status, 422);
+
+        const noDate = await post('PN 428811');
+        assert.equal(noDate.body.found, false);
+        assert.equal(noDate.body.data.needsConfirmation, true);
+
+        const notImage = await request(app).post('/api/check/image').send({ ticket: 'PN 428811' });
+        assert.equal(notImage.status, 415);
+    } finally {
+        setRecognizer(null);
+    }
+});
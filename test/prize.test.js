@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { normalizePrizeRules, loadPrizeRules, rulesForDate, calculatePrize } = require('../prize');
+const app = require('../index');
+
+const versions = loadPrizeRules();
+const on = date => ({ versions, now: new Date(`${date}T12:00:00Z`) });
+
+test('rulesForDate picks the version in force on the draw date', () => {
+    assert.equal(rulesForDate(versions, '2020-09-20').version, '2019-20');
+    assert.equal(rulesForDate(versions, '2025-01-02').version, '2023-24');
+    assert.equal(rulesForDate(versions, '2010-01-01').version, '2018-19');
+});
+
+test('calculatePrize deducts commission, tax, surcharge and cess', () => {
+    const crore = calculatePrize(10000000, '2025-01-02', on('2025-01-10'));
+    assert.deepEqual(
+        [crore.agentCommission, crore.taxableAmount, crore.incomeTax, crore.surcharge, crore.cess, crore.netAmount],
+        [1000000, 9000000, 2700000, 270000, 118800, 5911200]
+    );
+    assert.deepEqual(crore.rates, { agentCommissionPercent: 10, incomeTaxPercent: 30, surchargePercent: 10, cessPercent: 4 });
+
+    // A 25 crore bumper: the surcharge was capped at 25% from 2023-24
+    assert.equal(calculatePrize(250000000, '2024-10-09', on('2024-10-10')).netAmount, 137250000);
+    assert.equal(calculatePrize(250000000, '2020-09-20', on('2020-09-21')).surcharge, 24975000);
+
+    // Small prizes: no tax up to 10,000, no commission up to 5,000
+    assert.equal(calculatePrize(8000, '2025-01-02', on('2025-01-10')).netAmount, 7200);
+    assert.equal(calculatePrize(5000, '2025-01-02', on('2025-01-10')).totalDeductions, 0);
+});
+
+test('calculatePrize reports the claim office and deadline', () => {
+    assert.equal(calculatePrize(5000, '2025-01-02', on('2025-01-10')).claim.office, 'Any authorised Kerala lottery agent or shop');
+    assert.equal(calculatePrize(100000, '2025-01-02', on('2025-01-10')).claim.office, 'District Lottery Office');
+
+    const { claim } = calculatePrize(100001, '2025-01-02', on('2025-01-10'));
+    assert.equal(claim.office, 'Directorate of State Lotteries, Thiruvananthapuram');
+    assert.deepEqual([claim.deadline, claim.lateDeadline, claim.daysLeft, claim.status], ['2025-02-01', '2025-04-02', 22, 'open']);
+
+    assert.equal(calculatePrize(8000, '2025-01-02', on('2025-03-01')).claim.status, 'late');
+    assert.equal(calculatePrize(8000, '2025-01-02', on('2025-04-03')).claim.status, 'expired');
+});
+
+test('normalizePrizeRules rejects incomplete versions', () => {
+    const [valid] = versions;
+    assert.throws(() => normalizePrizeRules({ versions: [] }), /at least one version/);
+    assert.throws(() => normalizePrizeRules({ versions: [{ ...valid, effectiveFrom: '1/4/2018' }] }), /effectiveFrom/);
+    assert.throws(() => normalizePrizeRules({ versions: [{ ...valid, lateClaimDays: 10 }] }), /lateClaimDays/);
+    assert.throws(() => normalizePrizeRules({ versions: [{ ...valid, claimOffices: valid.claimOffices.slice(0, 2) }] }), /upTo: null/);
+});
+
+test('normalizePrizeRules sorts surcharge slabs by threshold', () => {
+    const current = rulesForDate(versions, '2025-01-02');
+    const [reordered] = normalizePrizeRules({ versions: [{ ...current, surcharge: [...current.surcharge].reverse() }] });
+    assert.deepEqual(reordered.surcharge, current.surcharge);
+    assert.equal(calculatePrize(10000000, '2025-01-02', { versions: [reordered] }).rates.surchargePercent, 10);
+});
+
+test('GET /api/prize/net calculates the net prize for a draw date', async () => {
+    const res = await request(app).get('/api/prize/net').query({ amount: 10000000, date: '2025-01-02' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.netAmount, 5911200);
+    assert.equal(res.body.data.rulesVersion, '2023-24');
+
+    assert.equal((await request(app).get('/api/prize/net').query({ amount: -5 })).status, 400);
+    assert.equal((await request(app).get('/api/prize/net').query({ amount: 5000, date: '02-01-2025' })).status, 400);
+});
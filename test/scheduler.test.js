@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, seedDraw, loadFixture } = require('./helpers/testDb');
+const { setFetcher } = require('../fetcher');
+const { MAX_ATTEMPTS, queueFailedDraw } = require('../failedDraws');
+const {
+    normalizeScheduleConfig,
+    loadScheduleConfig,
+    localTime,
+    scheduleForDate,
+    findGaps,
+    planTick,
+    drawCountsSince,
+    runTick
+} = require('../scheduler');
+
+const config = normalizeScheduleConfig({
+    window: { start: '15:00', end: '17:00' },
+    catchUpDays: 3,
+    catchUpMinutes: 60,
+    overrides: [
+        { date: '2025-01-01', noDraw: true, reason: 'New Year holiday' },
+        { date: '2025-01-03', drawsPerDay: 2, window: { start: '14:00', end: '18:00' }, reason: 'Bumper' }
+    ]
+});
+
+// 2025-01-03 at HH:MM IST
+const ist = time => new Date(`2025-01-03T${time}:00+05:30`);
+
+test('the bundled schedule config is valid', () => {
+    const bundled = loadScheduleConfig();
+    assert.equal(bundled.timezone, 'Asia/Kolkata');
+    assert.deepEqual(bundled.window, { start: 900, end: 1020 });
+});
+
+test('normalizeScheduleConfig rejects bad times and intervals', () => {
+    assert.throws(() => normalizeScheduleConfig({ window: { start: '3pm', end: '17:00' } }), /window.start/);
+    assert.throws(() => normalizeScheduleConfig({ window: { start: '17:00', end: '15:00' } }), /ends before it starts/);
+    assert.throws(() => normalizeScheduleConfig({ pollMinutes: 90 }), /pollMinutes/);
+    assert.throws(() => normalizeScheduleConfig({ drawDays: ['funday'] }), /unknown draw day/);
+});
+
+test('localTime converts to the schedule timezone', () => {
+    assert.deepEqual(localTime(new Date('2025-01-02T20:00:00Z'), 'Asia/Kolkata'), { date: '2025-01-03', minutes: 90 });
+});
+
+test('scheduleForDate applies holiday and bumper overrides', () => {
+    assert.equal(scheduleForDate(config, '2025-01-01').noDraw, true);
+    assert.deepEqual(scheduleForDate(config, '2025-01-03').window, { start: 840, end: 1080 });
+    assert.equal(scheduleForDate(config, '2025-01-03').drawsPerDay, 2);
+    assert.equal(scheduleForDate(config, '2025-01-02').drawsPerDay, 1);
+
+    const weekdaysOnly = normalizeScheduleConfig({ drawDays: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'] });
+    assert.equal(scheduleForDate(weekdaysOnly, '2025-01-05').noDraw, true); // a Sunday
+});
+
+test('findGaps lists missing days and skips holidays and today before its window', () => {
+    const counts = new Map([['2025-01-02', 1]]);
+
+    // 2024-12-31 missing, 2025-01-01 is a holiday, 2025-01-02 stored
+    assert.deepEqual(findGaps(config, counts, ist('10:00')), ['2024-12-31']);
+    // Bumper day: the window opens at 14:00 and two draws are expected
+    assert.deepEqual(findGaps(config, new Map([...counts, ['2025-01-03', 1]]), ist('14:30')), ['2025-01-03', '2024-12-31']);
+});
+
+test('planTick catches up on every gap, then only polls today inside its window', () => {
+    const gaps = ['2025-01-03', '2024-12-31'];
+
+    assert.deepEqual(planTick(config, {}, ist('15:10'), gaps), { dates: gaps, catchUp: true });
+
+    const recent = { lastCatchUpAt: ist('15:00') };
+    assert.deepEqual(planTick(config, recent, ist('15:10'), gaps), { dates: ['2025-01-03'], catchUp: false });
+    // catchUpMinutes later the catch-up is due again
+    assert.deepEqual(planTick(config, recent, ist('16:00'), gaps), { dates: gaps, catchUp: true });
+    // Past the window with the catch-up not due yet
+    assert.deepEqual(planTick(config, { lastCatchUpAt: ist('18:00') }, ist('18:10'), gaps), { dates: [], catchUp: false });
+    // Today's draw is in: nothing to poll
+    assert.deepEqual(planTick(config, recent, ist('15:20'), []), { dates: [], catchUp: false });
+});
+
+test('runTick scrapes the missing dates as a catch-up job', async () => {
+    await createTestDb();
+    test.mock.method(console, 'log', () => {});
+    await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: [{ category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] }]
+    });
+    const requested = [];
+    setFetcher({ get: async url => { requested.push(url); return { data: loadFixture('result-page.html') }; } });
+
+    const started = await runTick(config, ist('10:00'));
+    await started.done;
+
+    assert.equal(started.job.job_type, 'catchup');
+    assert.deepEqual(started.job.params, { dates: ['2024-12-31'] });
+    // The fixture page has no draw for 2024-12-31, so no PDF was requested
+    assert.equal(requested.length, 1);
+
+    setFetcher(null);
+    test.mock.restoreAll();
+});
+
+test('drawCountsSince counts each draw once and ignores draws the queue gave up on', async () => {
+    await createTestDb();
+    await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: [{ category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] }]
+    });
+    const queued = { name: 'KARUNYA PLUS KN-555', date: '2025-01-02', url: 'https://example.test/kn-555.pdf', drawNo: 'KN-555', code: 'KN' };
+    await queueFailedDraw(queued, 'HTTP 503'); // stored and queued
+    await queueFailedDraw({ ...queued, name: 'STHREE SAKTHI SS-450', drawNo: 'SS-450', code: 'SS' }, 'HTTP 503');
+
+    const givenUp = { ...queued, name: 'WIN-WIN W-800', date: '2024-12-31', drawNo: 'W-800', code: 'W' };
+    for (let i = 0; i < MAX_ATTEMPTS; i++) await queueFailedDraw(givenUp, 'HTTP 503');
+
+    const counts = await drawCountsSince('2024-12-30');
+    assert.equal(counts.get('2025-01-02'), 2);
+    assert.equal(counts.has('2024-12-31'), false);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseResultPage,
+    parseLotteryPdf,
+    extractTicketsFromBlock,
+    parseTicketString,
+    extractDrawNo,
+    extractLotteryCode
+} = require('../scraper');
+const { loadFixture } = require('./helpers/testDb');
+
+const categorySummary = results => results.map(r => [r.category, r.amount, r.tickets.length]);
+
+test('parseResultPage reads draw rows from the saved result page', () => {
+    const rows = parseResultPage(loadFixture('result-page.html'));
+
+    assert.deepEqual(rows.map(r => [r.name, r.date]), [
+        ['KARUNYA PLUS KN-555', '2025-01-02'],
+        ['SUVARNA KERALAM SK-83', '2025-01-03'],
+        ['THIRUVONAM BUMPER BR-99', '2024-10-09']
+    ]);
+    assert.deepEqual(rows.map(r => [r.drawNo, r.code]), [['KN-555', 'KN'], ['SK-83', 'SK'], ['BR-99', 'BR']]);
+    // Relative links are made absolute, absolute ones kept
+    assert.equal(rows[0].url, 'https://statelottery.kerala.gov.in/index.php/lottery-result-view/lottery-result-pdf?id=KN-555');
+    assert.equal(rows[1].url, 'https://statelottery.kerala.gov.in/index.php/lottery-result-view/lottery-result-pdf?id=SK-83');
+});
+
+test('parseResultPage filters by target date', () => {
+    const rows = parseResultPage(loadFixture('result-page.html'), '2024-10-09');
+    assert.deepEqual(rows.map(r => r.name), ['THIRUVONAM BUMPER BR-99']);
+
+    const several = parseResultPage(loadFixture('result-page.html'), ['2024-10-09', '2025-01-02']);
+    assert.deepEqual(several.map(r => r.drawNo), ['KN-555', 'BR-99']);
+});
+
+test('parseLotteryPdf reads every category of a regular draw', () => {
+    const { results, dropped } = parseLotteryPdf(loadFixture('karunya-plus-kn-555.txt'));
+
+    assert.deepEqual(dropped, []);
+    assert.deepEqual(categorySummary(results), [
+        ['1st Prize', 8000000, 1],
+        ['Consolation', 8000, 11],
+        ['2nd Prize', 1000000, 1],
+        ['3rd Prize', 100000, 12],
+        ['4th Prize', 5000, 18],
+        ['5th Prize', 2000, 18],
+        ['6th Prize', 1000, 18],
+        ['7th Prize', 500, 20],
+        ['8th Prize', 200, 21],
+        ['9th Prize', 100, 21]
+    ]);
+    assert.deepEqual(results[0].tickets, ['PN 428811']);
+    assert.deepEqual(results[4].tickets.slice(0, 3), ['0383', '0463', '0500']);
+});
+
+test('parseLotteryPdf reads a bumper draw', () => {
+    const { results, dropped } = parseLotteryPdf(loadFixture('thiruvonam-bumper-br-99.txt'));
+
+    assert.deepEqual(dropped, []);
+    assert.deepEqual(categorySummary(results), [
+        ['1st Prize', 250000000, 1],
+        ['Consolation', 500000, 9],
+        ['2nd Prize', 10000000, 20],
+        ['3rd Prize', 5000000, 20],
+        ['4th Prize', 500000, 10],
+        ['5th Prize', 200000, 10],
+        ['6th Prize', 5000, 20],
+        ['7th Prize', 2000, 20],
+        ['8th Prize', 1000, 20],
+        ['9th Prize', 500, 20]
+    ]);
+    // 1st prize ticket sits on the same line as its header
+    assert.deepEqual(results[0].tickets, ['TG 434222']);
+    // Bumper 4th/5th prizes keep their series
+    assert.deepEqual(results[4].tickets.slice(0, 2), ['TA 350894', 'TB 271813']);
+});
+
+test('parseLotteryPdf reports categories whose amount cannot be read', () => {
+    const text = '1st Prize Rs :7500000/-\n1) GB 123456\n2nd Prize Rs :-\n1) GC 654321\n';
+    const { results, dropped } = parseLotteryPdf(text);
+
+    assert.deepEqual(results.map(r => r.category), ['1st Prize']);
+    assert.deepEqual(dropped, [{ category: '2nd Prize', reason: 'its prize amount could not be read' }]);
+});
+
+test('extractTicketsFromBlock splits run-together 4-digit numbers and skips short numbers', () => {
+    const block = '4th Prize Rs :5000/-\n038304630500\nPage 2\n1234 1234';
+    assert.deepEqual(extractTicketsFromBlock(block, false), ['0383', '0463', '0500', '1234']);
+});
+
+test('parseTicketString splits series and number', () => {
+    assert.deepEqual(parseTicketString('GB 123456'), { series: 'GB', number: '123456' });
+    assert.deepEqual(parseTicketString('0383'), { series: null, number: '0383' });
+});
+
+test('extractDrawNo and extractLotteryCode read the draw number', () => {
+    assert.equal(extractDrawNo('KARUNYA PLUS KN-555'), 'KN-555');
+    assert.equal(extractLotteryCode('KN-555'), 'KN');
+    assert.equal(extractLotteryCode('UNKNOWN'), null);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestDb, seedDraw } = require('./helpers/testDb');
+const app = require('../index');
+
+test.before(async () => {
+    await createTestDb();
+    await seedDraw({
+        date: '2024-12-10',
+        name: 'CHRISTMAS BUMPER BR-99',
+        drawNo: 'BR-99',
+        results: [
+            { category: '1st Prize', amount: 200000000, tickets: ['PN 222222'] },
+            { category: '5th Prize', amount: 1000, tickets: ['9999'] }
+        ]
+    });
+    await seedDraw({
+        date: '2025-01-02',
+        name: 'KARUNYA PLUS KN-555',
+        drawNo: 'KN-555',
+        results: [
+            { category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] },
+            { category: 'Consolation', amount: 8000, tickets: ['PO 428811'] },
+            { category: '5th Prize', amount: 1000, tickets: ['1234', '5678'] }
+        ]
+    });
+    await seedDraw({
+        date: '2025-01-04',
+        name: 'KARUNYA KR-700',
+        drawNo: 'KR-700',
+        results: [
+            { category: '1st Prize', amount: 7500000, tickets: ['PA 111234'] },
+            { category: '5th Prize', amount: 1000, tickets: ['1234'] }
+        ]
+    });
+    // Held for review: left out of every statistic
+    await seedDraw({
+        date: '2025-01-06',
+        name: 'WIN-WIN W-800',
+        drawNo: 'W-800',
+        status: 'needs_review',
+        results: [
+            { category: '1st Prize', amount: 7500000, tickets: ['PN 428811'] },
+            { category: '5th Prize', amount: 1000, tickets: ['1234', '9999'] }
+        ]
+    });
+});
+
+const get = async url => {
+    const res = await request(app).get(url);
+    assert.equal(res.status, 200, res.body.message);
+    return res.body.data;
+};
+
+test('GET /api/stats/numbers and /endings count winning numbers and last-4 endings', async () => {
+    const numbers = await get('/api/stats/numbers?limit=2');
+    assert.deepEqual(numbers.map(n => [n.number, n.count]), [['1234', 2], ['428811', 2]]);
+    assert.equal(numbers[0].last_seen, '2025-01-04');
+
+    const endings = await get('/api/stats/endings?limit=2');
+    assert.deepEqual(endings, [{ ending: '1234', count: 3 }, { ending: '8811', count: 2 }]);
+
+    // Filtered to one lottery and date range
+    const filtered = await get('/api/stats/endings?code=kn&from=2025-01-01&to=2025-01-31');
+    assert.deepEqual(filtered.map(e => [e.ending, e.count]), [['8811', 2], ['1234', 1], ['5678', 1]]);
+});
+
+test('GET /api/stats/series shows the 1st prize series and letter distribution', async () => {
+    const data = await get('/api/stats/series');
+
+    assert.equal(data.total, 3);
+    assert.deepEqual(data.series, [
+        { series: 'PN', count: 2, share: 66.67 },
+        { series: 'PA', count: 1, share: 33.33 }
+    ]);
+    assert.deepEqual(data.letters.first, [{ letter: 'P', count: 3, share: 100 }]);
+    assert.deepEqual(data.letters.second.map(l => l.letter), ['N', 'A']);
+});
+
+test('GET /api/stats/payouts totals prize money per lottery or month', async () => {
+    assert.deepEqual(await get('/api/stats/payouts'), [
+        { lottery: 'BR', draws: 1, total: 200001000 },
+        { lottery: 'KN', draws: 1, total: 10010000 },
+        { lottery: 'KR', draws: 1, total: 7501000 }
+    ]);
+    assert.deepEqual(await get('/api/stats/payouts?groupBy=month'), [
+        { month: '2025-01', draws: 2, total: 17511000 },
+        { month: '2024-12', draws: 1, total: 200001000 }
+    ]);
+});
+
+test('GET /api/stats/gaps counts draws since a number last won', async () => {
+    const gaps = await get('/api/stats/gaps?numbers=1234,222222,5555');
+
+    assert.deepEqual(gaps.map(g => [g.number, g.appearances, g.lastSeen && g.lastSeen.date, g.drawsSince]), [
+        ['1234', 3, '2025-01-04', 0],
+        ['222222', 1, '2024-12-10', 2],
+        ['5555', 0, null, 3]
+    ]);
+    assert.equal(gaps[0].lastSeen.ticket, 'PA 111234');
+});
+
+test('stats endpoints reject bad filters', async () => {
+    assert.equal((await request(app).get('/api/stats/endings?from=01-01-2025')).status, 400);
+    assert.equal((await request(app).get('/api/stats/endings?from=2025-02-01&to=2025-01-01')).status, 400);
+    assert.equal((await request(app).get('/api/stats/payouts?groupBy=week')).status, 400);
+    assert.equal((await request(app).get('/api/stats/gaps')).status, 400);
+    assert.equal((await request(app).get('/api/stats/gaps?numbers=12')).status, 400);
+});
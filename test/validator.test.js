@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDraw, lotteryType } = require('../validator');
+const { parseLotteryPdf } = require('../scraper');
+const { loadFixture } = require('./helpers/testDb');
+
+const parseFixture = name => parseLotteryPdf(loadFixture(name));
+
+test('lotteryType tells bumpers from weekly lotteries', () => {
+    assert.equal(lotteryType('THIRUVONAM BUMPER BR-99'), 'bumper');
+    assert.equal(lotteryType('KARUNYA PLUS KN-555'), 'weekly');
+});
+
+test('a clean regular draw is final with full confidence', () => {
+    const { results, dropped } = parseFixture('karunya-plus-kn-555.txt');
+    const validation = validateDraw('KARUNYA PLUS KN-555', results, dropped);
+
+    assert.equal(validation.status, 'final');
+    assert.equal(validation.confidence, 1);
+    assert.deepEqual(validation.anomalies, []);
+    assert.equal(validation.series.length, 12);
+});
+
+test('a clean bumper draw is final', () => {
+    const { results, dropped } = parseFixture('thiruvonam-bumper-br-99.txt');
+    const validation = validateDraw('THIRUVONAM BUMPER BR-99', results, dropped);
+
+    assert.equal(validation.status, 'final');
+    assert.deepEqual(validation.anomalies, []);
+});
+
+test('missing categories and unreadable amounts need review', () => {
+    const { results } = parseFixture('karunya-plus-kn-555.txt');
+    const withoutSecond = results.filter(r => r.category !== '2nd Prize' && r.category !== '3rd Prize');
+    const validation = validateDraw('KARUNYA PLUS KN-555', withoutSecond, [
+        { category: '2nd Prize', reason: 'its prize amount could not be read' }
+    ]);
+
+    assert.equal(validation.status, 'needs_review');
+    assert.deepEqual(validation.anomalies.map(a => a.code).sort(), ['CATEGORY_MISSING', 'CATEGORY_UNREADABLE']);
+});
+
+test('stray numbers picked up as tickets lower the confidence', () => {
+    const { results } = parseFixture('karunya-plus-kn-555.txt');
+    // e.g. a year in the footer split into a 9th prize "ticket" that already won 4th prize
+    const tampered = results.map(r => (r.category === '9th Prize' ? { ...r, tickets: [...r.tickets, '0383'] } : r));
+    const validation = validateDraw('KARUNYA PLUS KN-555', tampered);
+
+    assert.deepEqual(validation.anomalies.map(a => a.code), ['DUPLICATE_NUMBER']);
+    assert.ok(validation.confidence < 1);
+});
+
+test('tickets outside the draw series are flagged', () => {
+    const { results } = parseFixture('karunya-plus-kn-555.txt');
+    const tampered = results.map(r => (r.category === '2nd Prize' ? { ...r, tickets: ['XX 129076'] } : r));
+    const validation = validateDraw('KARUNYA PLUS KN-555', tampered);
+
+    assert.equal(validation.status, 'needs_review');
+    assert.equal(validation.anomalies[0].code, 'SERIES_UNKNOWN');
+});
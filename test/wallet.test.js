@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createTestDb, seedDraw } = require('./helpers/testDb');
+const db = require('../db');
+const { setUserVerifier } = require('../auth');
+const { checkSavedTickets } = require('../wallet');
+const app = require('../index');
+
+const USERS = {
+    'token-a': { id: '0b6e2c1a-5d4f-4e3b-9a2c-1f0e9d8c7b6a', email: 'a@example.com' },
+    'token-b': { id: '7c1d2e3f-4a5b-4c6d-8e7f-9a0b1c2d3e4f', email: 'b@example.com' }
+};
+
+const KN_555 = {
+    date: '2025-01-02',
+    name: 'KARUNYA PLUS KN-555',
+    drawNo: 'KN-555',
+    results: [
+        { category: '1st Prize', amount: 10000000, tickets: ['PN 428811'] },
+        { category: 'Consolation', amount: 5000, tickets: ['PO 428811'] },
+        { category: '5th Prize', amount: 1000, tickets: ['1234'] }
+    ]
+};
+
+const as = (token, req) => req.set('Authorization', `Bearer ${token}`);
+
+test.beforeEach(async () => {
+    await createTestDb();
+    setUserVerifier({ verify: async token => USERS[token] || null });
+});
+test.afterEach(() => setUserVerifier(null));
+
+test('wallet routes require a valid Supabase session', async () => {
+    assert.equal((await request(app).get('/api/wallet/tickets')).status, 401);
+    assert.equal((await as('expired', request(app).get('/api/wallet/tickets'))).status, 401);
+    assert.equal((await as('token-a', request(app).get('/api/wallet/tickets'))).status, 200);
+});
+
+test('POST /api/wallet/tickets validates and checks tickets whose draw is already in', async () => {
+    await seedDraw(KN_555);
+    const save = body => as('token-a', request(app).post('/api/wallet/tickets')).send(body);
+
+    assert.equal((await save({ ticket: 'PN 428811', date: '2025-01-02' })).status, 400, 'price is required');
+    assert.equal((await save({ ticket: '428811', date: '2025-01-02', price: 50 })).status, 400, 'series is required');
+    assert.equal((await save({ ticket: 'PN 428811', date: '2025-01-02', price: 50, lottery: ['KN'] })).status, 400, 'lottery is a code');
+
+    const res = await save({ tickets: ['pn428811', 'PA 111234', 'PB 999999'], date: '2025-01-02', price: 50 });
+    assert.equal(res.status, 201);
+    assert.deepEqual(
+        res.body.data.map(t => [t.ticket, t.status, t.prize_name]),
+        [['PN 428811', 'won', '1st Prize'], ['PA 111234', 'won', '5th Prize'], ['PB 999999', 'lost', null]]
+    );
+
+    const pending = await save({ ticket: 'PN 428811', date: '2025-01-09', price: 50 });
+    assert.equal(pending.body.data[0].status, 'pending');
+});
+
+test('saved tickets are checked on ingest and summarised per user', async () => {
+    const save = (token, body) => as(token, request(app).post('/api/wallet/tickets')).send(body);
+    await save('token-a', { tickets: ['PO 428811', 'PB 999999'], date: '2025-01-02', price: 40 });
+    await save('token-a', { ticket: 'PN 100000', date: '2025-01-09', price: 50 });
+    await save('token-b', { ticket: 'PN 428811', date: '2025-01-02', price: 40 });
+
+    await seedDraw(KN_555);
+    assert.deepEqual(await checkSavedTickets('2025-01-02'), { checked: 3, won: 2 });
+
+    const list = status => as('token-a', request(app).get(`/api/wallet/tickets?status=${status}`));
+    assert.deepEqual((await list('won')).body.data.map(t => [t.ticket, t.prize_name]), [['PO 428811', 'Consolation']]);
+    assert.deepEqual((await list('lost')).body.data.map(t => t.ticket), ['PB 999999']);
+    assert.deepEqual((await list('pending')).body.data.map(t => t.ticket), ['PN 100000']);
+    assert.equal((await list('void')).status, 400);
+
+    const summary = await as('token-a', request(app).get('/api/wallet/summary'));
+    assert.deepEqual(summary.body.data, {
+        tickets: 3, pending: 1, won: 1, lost: 1, totalSpent: 130, totalWon: 5000, net: 4870
+    });
+
+    // Users only see and remove their own tickets
+    const [pendingTicket] = (await list('pending')).body.data;
+    assert.equal((await as('token-b', request(app).delete(`/api/wallet/tickets/${pendingTicket.id}`))).status, 404);
+    assert.equal((await as('token-a', request(app).delete(`/api/wallet/tickets/${pendingTicket.id}`))).status, 200);
+    assert.equal((await as('token-b', request(app).get('/api/wallet/summary'))).body.data.totalWon, 10000000);
+});
+
+test('saved tickets wait for review and are re-checked when the draw is corrected', async () => {
+    process.env.ADMIN_API_KEY = 'test-key';
+    const admin = req => req.set('Authorization', 'Bearer test-key');
+    const drawId = await seedDraw({ ...KN_555, status: 'needs_review' });
+
+    const saved = await as('token-a', request(app).post('/api/wallet/tickets'))
+        .send({ ticket: 'PN 428811', date: '2025-01-02', price: 40 });
+    assert.equal(saved.body.data[0].status, 'pending', 'not settled against a draw under review');
+
+    const approved = await admin(request(app).patch(`/api/admin/draws/${drawId}/status`)).send({ status: 'final' });
+    assert.equal(approved.status, 200);
+    const ticket = async () => (await as('token-a', request(app).get('/api/wallet/tickets'))).body.data[0];
+    assert.deepEqual([(await ticket()).status, (await ticket()).prize_name], ['won', '1st Prize']);
+
+    // The first prize amount was misread: the won ticket picks up the corrected amount
+    const { rows } = await db.query("SELECT id FROM prize_categories WHERE category_name = '1st Prize'");
+    const corrected = await admin(request(app).patch(`/api/admin/categories/${rows[0].id}`)).send({ prize_amount: 12000000 });
+    assert.equal(corrected.status, 200);
+    assert.equal(Number((await ticket()).prize_amount), 12000000);
+
+    // Held back again: the ticket goes back to pending
+    await admin(request(app).patch(`/api/admin/draws/${drawId}/status`)).send({ status: 'needs_review' });
+    assert.equal((await ticket()).status, 'pending');
+    delete process.env.ADMIN_API_KEY;
+});
@@ -0,0 +1,80 @@
+// Request validation shared by the API routes: id and date formats, and
+// validateQuery() to declare the query parameters a route accepts.
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar date in YYYY-MM-DD format ("2025-02-30" passes the regex but
+// makes Postgres fail the query)
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Error message for a query value that breaks its rule, or null
+function checkParam(name, value, rule) {
+    // ?a=1&a=2 and ?a[b]=1 arrive as arrays and objects
+    if (typeof value !== 'string') return `${name} must be given once.`;
+
+    switch (rule.type) {
+        case 'date':
+            return isValidDate(value) ? null : `${name} must be a date in YYYY-MM-DD format.`;
+        case 'uuid':
+            return UUID_REGEX.test(value) ? null : `${name} must be an id.`;
+        case 'int': {
+            const min = rule.min ?? 0;
+            const number = Number(value);
+            if (!/^\d+$/.test(value) || number < min || (rule.max !== undefined && number > rule.max)) {
+                return rule.max !== undefined
+                    ? `${name} must be a whole number from ${min} to ${rule.max}.`
+                    : `${name} must be a whole number of at least ${min}.`;
+            }
+            return null;
+        }
+        case 'number':
+            return value.trim() !== '' && Number.isFinite(Number(value)) ? null : `${name} must be a number.`;
+        case 'enum':
+            return rule.values.includes(value) ? null : `${name} must be one of: ${rule.values.join(', ')}.`;
+        default: {
+            // string
+            const maxLength = rule.maxLength || 100;
+            if (value.length > maxLength) return `${name} must be at most ${maxLength} characters.`;
+            if (rule.pattern && !rule.pattern.test(value)) return rule.message || `${name} is not valid.`;
+            return null;
+        }
+    }
+}
+
+// Middleware that rejects a request with a 400 if a query parameter breaks its rule.
+// schema: { name: { type: 'date' | 'uuid' | 'int' | 'number' | 'enum' | 'string', min?, max?,
+// values?, maxLength?, pattern?, message? } }. Empty and missing parameters are left to the
+// route, as are parameters not in the schema. Values are checked, not converted.
+function validateQuery(schema) {
+    return (req, res, next) => {
+        for (const [name, rule] of Object.entries(schema)) {
+            const value = req.query[name];
+            if (value === undefined || value === '') continue;
+
+            const error = checkParam(name, value, rule);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+        }
+        next();
+    };
+}
+
+// The draw filters most list routes take (see buildDrawFilters)
+const DRAW_FILTERS = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    lottery: { type: 'string', maxLength: 50 },
+    code: { type: 'string', pattern: /^[A-Za-z0-9-]{1,10}$/, message: 'code must be a lottery code, e.g. KN.' }
+};
+
+const PAGINATION = {
+    page: { type: 'int', min: 1 },
+    limit: { type: 'int', min: 1 }
+};
+
+module.exports = { UUID_REGEX, DATE_REGEX, isValidDate, validateQuery, DRAW_FILTERS, PAGINATION };
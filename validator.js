@@ -0,0 +1,183 @@
+// Validation of parsed result sheets against the expected prize structure
+// of each lottery type. Produces a confidence score and a list of anomalies;
+// low-confidence draws are stored as "needs_review" instead of "final".
+
+// Draws scoring below this are held for manual review
+const REVIEW_THRESHOLD = 0.8;
+
+// Score penalty per anomaly
+const PENALTIES = { error: 0.25, warning: 0.05 };
+
+// Expected structure per lottery type: ticket count and amount ranges per category
+const PRIZE_STRUCTURES = {
+    // Weekly lotteries (Karunya, Win-Win, Sthree Sakthi, Akshaya, Nirmal, Fifty-Fifty, ...)
+    weekly: {
+        seriesCount: 12,
+        categories: [
+            { name: '1st Prize', required: true, tickets: [1, 1], amount: [5000000, 20000000] },
+            { name: 'Consolation', required: true, tickets: [11, 11], amount: [1000, 10000] },
+            { name: '2nd Prize', required: true, tickets: [1, 12], amount: [500000, 5000000] },
+            { name: '3rd Prize', required: true, tickets: [1, 12], amount: [50000, 1000000] },
+            { name: '4th Prize', required: true, tickets: [6, 30], amount: [1000, 10000] },
+            { name: '5th Prize', required: true, tickets: [6, 40], amount: [1000, 5000] },
+            { name: '6th Prize', required: true, tickets: [6, 60], amount: [500, 2000] },
+            { name: '7th Prize', required: true, tickets: [10, 150], amount: [100, 1000] },
+            { name: '8th Prize', required: true, tickets: [20, 250], amount: [50, 500] },
+            { name: '9th Prize', required: false, tickets: [20, 250], amount: [50, 200] },
+            { name: '10th Prize', required: false, tickets: [10, 250], amount: [50, 100] }
+        ]
+    },
+    // Bumpers (Onam, Vishu, Christmas-New Year, Monsoon, Pooja, Summer)
+    bumper: {
+        seriesCount: null, // varies per bumper
+        categories: [
+            { name: '1st Prize', required: true, tickets: [1, 1], amount: [10000000, 300000000] },
+            { name: 'Consolation', required: false, tickets: [1, 30], amount: [1000, 1000000] },
+            { name: '2nd Prize', required: true, tickets: [1, 30], amount: [500000, 50000000] },
+            { name: '3rd Prize', required: true, tickets: [1, 60], amount: [50000, 10000000] },
+            { name: '4th Prize', required: false, tickets: [1, 60], amount: [1000, 2000000] },
+            { name: '5th Prize', required: false, tickets: [1, 100], amount: [1000, 1000000] },
+            { name: '6th Prize', required: false, tickets: [1, 200], amount: [500, 100000] },
+            { name: '7th Prize', required: false, tickets: [1, 300], amount: [100, 10000] },
+            { name: '8th Prize', required: false, tickets: [1, 300], amount: [100, 5000] },
+            { name: '9th Prize', required: false, tickets: [1, 300], amount: [50, 2000] },
+            { name: '10th Prize', required: false, tickets: [1, 300], amount: [50, 1000] }
+        ]
+    }
+};
+
+// Helper: Lottery type from its name
+function lotteryType(lotteryName) {
+    return /bumper/i.test(lotteryName || '') ? 'bumper' : 'weekly';
+}
+
+const seriesOf = ticket => {
+    const match = ticket.match(/^([A-Z]{2})\s*\d+$/);
+    return match ? match[1] : null;
+};
+
+// Validate parsed results ([{ category, amount, tickets }]) for a lottery.
+// dropped lists categories the parser found but couldn't read ([{ category, reason }]).
+// Returns { type, confidence, status, anomalies, series }
+function validateDraw(lotteryName, results, dropped = []) {
+    const type = lotteryType(lotteryName);
+    const structure = PRIZE_STRUCTURES[type];
+    const anomalies = [];
+    const add = (severity, code, message, category = null) => anomalies.push({ severity, code, category, message });
+
+    const byName = new Map(results.map(prize => [prize.category, prize]));
+
+    for (const { category, reason } of dropped) {
+        add('error', 'CATEGORY_UNREADABLE', `${category} was found in the PDF but ${reason}.`, category);
+    }
+
+    // Expected categories, ticket counts and amounts
+    for (const expected of structure.categories) {
+        const prize = byName.get(expected.name);
+        if (!prize) {
+            if (expected.required && !dropped.some(d => d.category === expected.name)) {
+                add('error', 'CATEGORY_MISSING', `${expected.name} is missing.`, expected.name);
+            }
+            continue;
+        }
+
+        const [minTickets, maxTickets] = expected.tickets;
+        if (prize.tickets.length < minTickets || prize.tickets.length > maxTickets) {
+            add(
+                'error',
+                'TICKET_COUNT',
+                `${expected.name} has ${prize.tickets.length} tickets, expected ${minTickets === maxTickets ? minTickets : `${minTickets}-${maxTickets}`}.`,
+                expected.name
+            );
+        }
+
+        const [minAmount, maxAmount] = expected.amount;
+        if (prize.amount < minAmount || prize.amount > maxAmount) {
+            add('warning', 'AMOUNT_RANGE', `${expected.name} amount Rs ${prize.amount} is outside the usual Rs ${minAmount}-${maxAmount}.`, expected.name);
+        }
+    }
+
+    for (const prize of results) {
+        if (!structure.categories.some(c => c.name === prize.category)) {
+            add('warning', 'CATEGORY_UNEXPECTED', `${prize.category} is not part of the ${type} prize structure.`, prize.category);
+        }
+    }
+
+    // Prize amounts must go down from 1st to 10th (Consolation sits outside the order)
+    const ordered = structure.categories
+        .filter(c => c.name !== 'Consolation' && byName.has(c.name))
+        .map(c => byName.get(c.name));
+    for (let i = 1; i < ordered.length; i++) {
+        if (ordered[i].amount >= ordered[i - 1].amount) {
+            add('error', 'AMOUNT_ORDER', `${ordered[i].category} (Rs ${ordered[i].amount}) is not lower than ${ordered[i - 1].category} (Rs ${ordered[i - 1].amount}).`, ordered[i].category);
+        }
+    }
+
+    // Series used in this draw: the 1st prize series plus the consolation series
+    const series = new Set();
+    for (const name of ['1st Prize', 'Consolation']) {
+        for (const ticket of (byName.get(name) || { tickets: [] }).tickets) {
+            const s = seriesOf(ticket);
+            if (s) series.add(s);
+        }
+    }
+
+    const firstPrize = byName.get('1st Prize');
+    const consolation = byName.get('Consolation');
+    if (firstPrize && consolation) {
+        const firstSeries = firstPrize.tickets.map(seriesOf);
+        const firstNumber = (firstPrize.tickets[0] || '').replace(/^[A-Z]{2}\s*/, '');
+        for (const ticket of consolation.tickets) {
+            if (firstSeries.includes(seriesOf(ticket))) {
+                add('error', 'CONSOLATION_SERIES', `Consolation ticket ${ticket} uses the 1st prize series.`, 'Consolation');
+            }
+            if (ticket.replace(/^[A-Z]{2}\s*/, '') !== firstNumber) {
+                add('error', 'CONSOLATION_NUMBER', `Consolation ticket ${ticket} doesn't share the 1st prize number ${firstNumber}.`, 'Consolation');
+            }
+        }
+    }
+
+    if (structure.seriesCount && series.size > 0 && series.size !== structure.seriesCount) {
+        add('warning', 'SERIES_COUNT', `Draw uses ${series.size} series, expected ${structure.seriesCount}.`);
+    }
+
+    // Series-based prizes must come from the draw's own series
+    if (series.size > 1) {
+        for (const prize of results) {
+            if (prize.category === '1st Prize' || prize.category === 'Consolation') continue;
+            for (const ticket of prize.tickets) {
+                const s = seriesOf(ticket);
+                if (s && !series.has(s)) {
+                    add('error', 'SERIES_UNKNOWN', `${prize.category} ticket ${ticket} uses series ${s}, which isn't in this draw.`, prize.category);
+                }
+            }
+        }
+    }
+
+    // A 4-digit ending only ever wins one of the last-4 prizes; repeats are usually
+    // stray numbers (page numbers, dates) picked up by the ticket splitter
+    const seenEndings = new Map();
+    for (const prize of results) {
+        for (const ticket of prize.tickets) {
+            if (!/^\d{4}$/.test(ticket)) continue;
+            if (seenEndings.has(ticket)) {
+                add('warning', 'DUPLICATE_NUMBER', `${ticket} appears in both ${seenEndings.get(ticket)} and ${prize.category}.`, prize.category);
+            } else {
+                seenEndings.set(ticket, prize.category);
+            }
+        }
+    }
+
+    const penalty = anomalies.reduce((sum, a) => sum + PENALTIES[a.severity], 0);
+    const confidence = Math.max(0, Math.round((1 - penalty) * 100) / 100);
+
+    return {
+        type,
+        confidence,
+        status: confidence >= REVIEW_THRESHOLD ? 'final' : 'needs_review',
+        anomalies,
+        series: [...series].sort()
+    };
+}
+
+module.exports = { REVIEW_THRESHOLD, PRIZE_STRUCTURES, lotteryType, validateDraw };
@@ -0,0 +1,204 @@
+// Saved-ticket wallets. Signed-in users save the tickets they bought (with the
+// price paid); each ticket is checked with the same rules as /api/check when a
+// draw on its date is ingested, or straight away if the draw is already in.
+const pool = require('./db');
+const { parseTicketInput, evaluateTicket, selectDrawsForTicket } = require('./matcher');
+const { loadDrawsWithWinners } = require('./draws');
+const { isValidDate } = require('./validation');
+
+const STATUSES = ['pending', 'won', 'lost'];
+const MAX_TICKETS_PER_REQUEST = 50;
+
+const TICKET_COLUMNS = `id, ticket, lottery_code, to_char(draw_date, 'YYYY-MM-DD') AS draw_date, purchase_price,
+    status, draw_id, prize_name, prize_amount, checked_at, created_at`;
+
+// Validate a save request body { ticket | tickets, date, price, lottery? }.
+// Returns { tickets, date, price, lotteryCode } with normalised tickets, or { error }
+function parseSaveRequest(body) {
+    const { ticket, date, price, lottery } = body || {};
+    const raw = body && body.tickets !== undefined ? body.tickets : (ticket !== undefined ? [ticket] : []);
+
+    if (!Array.isArray(raw) || raw.length === 0) {
+        return { error: 'Provide a ticket or a list of tickets to save.' };
+    }
+    if (raw.length > MAX_TICKETS_PER_REQUEST) {
+        return { error: `At most ${MAX_TICKETS_PER_REQUEST} tickets can be saved at once.` };
+    }
+    if (!isValidDate(date)) {
+        return { error: 'date (the draw date of the tickets) must be in YYYY-MM-DD format.' };
+    }
+    if (price === undefined || price === null || price === '' || !(Number(price) >= 0)) {
+        return { error: 'price (the purchase price of each ticket) must be a number of 0 or more.' };
+    }
+    if (lottery !== undefined && lottery !== null && (typeof lottery !== 'string' || !/^[A-Z]{1,10}$/i.test(lottery))) {
+        return { error: 'lottery must be a lottery code such as "KN".' };
+    }
+
+    const tickets = [];
+    for (const value of raw) {
+        const input = parseTicketInput(value);
+        if (input.error) return { error: `Ticket "${value}": ${input.error}` };
+        // Without the series a win can't be confirmed (see evaluateTicket's possiblePrizes)
+        if (!input.series) return { error: `Ticket "${value}": include the series, e.g. "PN 428811".` };
+        tickets.push(`${input.series} ${input.number}`);
+    }
+    return { tickets, date, price: Number(price), lotteryCode: lottery ? lottery.toUpperCase() : null };
+}
+
+// Check a user's saved tickets, or everyone's, for a draw date against the draws
+// stored for it. Every ticket is re-checked, so a correction to a draw can turn a
+// win into a loss and back; a ticket stays pending while its draw isn't in or is
+// held for review (status other than "final").
+// Returns { checked, won }
+async function checkSavedTickets(date, { userId = null } = {}) {
+    const params = [date];
+    let userFilter = '';
+    if (userId) {
+        params.push(userId);
+        userFilter = 'AND user_id = $2';
+    }
+    const { rows: tickets } = await pool.query(
+        `SELECT id, ticket, lottery_code, status FROM saved_tickets
+         WHERE draw_date = $1 ${userFilter}`,
+        params
+    );
+    if (tickets.length === 0) return { checked: 0, won: 0 };
+
+    const draws = await loadDrawsWithWinners(date);
+
+    const now = new Date();
+    let checked = 0;
+    let won = 0;
+    for (const saved of tickets) {
+        const input = parseTicketInput(saved.ticket);
+        const candidates = saved.lottery_code
+            ? draws.filter(d => d.draw.lottery_code === saved.lottery_code)
+            : selectDrawsForTicket(input, draws);
+
+        if (candidates.length === 0 || candidates.some(d => d.draw.status !== 'final')) {
+            // Its lottery's draw isn't in yet, or isn't final: undo an earlier result
+            if (saved.status !== 'pending') {
+                await pool.query(
+                    `UPDATE saved_tickets
+                     SET status = 'pending', draw_id = NULL, prize_name = NULL, prize_amount = NULL, checked_at = NULL
+                     WHERE id = $1`,
+                    [saved.id]
+                );
+            }
+            continue;
+        }
+
+        const best = candidates
+            .map(({ draw, winners }) => ({ draw, prize: evaluateTicket(input, winners).claimablePrize }))
+            .filter(o => o.prize)
+            .sort((a, b) => parseFloat(b.prize.prizeAmount) - parseFloat(a.prize.prizeAmount))[0];
+
+        await pool.query(
+            `UPDATE saved_tickets
+             SET status = $2, draw_id = $3, prize_name = $4, prize_amount = $5, checked_at = $6
+             WHERE id = $1`,
+            best
+                ? [saved.id, 'won', best.draw.id, best.prize.prizeName, best.prize.prizeAmount, now]
+                : [saved.id, 'lost', candidates.length === 1 ? candidates[0].draw.id : null, null, null, now]
+        );
+        checked++;
+        if (best) won++;
+    }
+    return { checked, won };
+}
+
+// Re-check the saved tickets for a draw's date after the draw was corrected,
+// re-parsed, approved or held back. Returns { checked, won }, or null if the draw doesn't exist
+async function recheckSavedTicketsForDraw(drawId) {
+    const { rows } = await pool.query(
+        "SELECT to_char(draw_date, 'YYYY-MM-DD') AS draw_date FROM lottery_draws WHERE id = $1",
+        [drawId]
+    );
+    return rows.length > 0 ? checkSavedTickets(rows[0].draw_date) : null;
+}
+
+// Save tickets and check them right away if their draw is already in
+async function saveTickets(userId, { tickets, date, price, lotteryCode = null }) {
+    const ids = [];
+    for (const ticket of tickets) {
+        const result = await pool.query(
+            `INSERT INTO saved_tickets (user_id, ticket, lottery_code, draw_date, purchase_price)
+             VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+            [userId, ticket, lotteryCode, date, price]
+        );
+        ids.push(result.rows[0].id);
+    }
+    await checkSavedTickets(date, { userId });
+
+    const saved = [];
+    for (const id of ids) saved.push(await getSavedTicket(userId, id));
+    return saved;
+}
+
+async function getSavedTicket(userId, id) {
+    const result = await pool.query(
+        `SELECT ${TICKET_COLUMNS} FROM saved_tickets WHERE id = $1 AND user_id = $2`,
+        [id, userId]
+    );
+    return result.rows[0] || null;
+}
+
+// A user's tickets, newest draw first. status: pending, won or lost
+async function listSavedTickets(userId, { status, limit = 50, offset = 0 } = {}) {
+    const params = [userId];
+    let statusFilter = '';
+    if (status) {
+        params.push(status);
+        statusFilter = `AND status = $${params.length}`;
+    }
+    params.push(limit, offset);
+
+    const result = await pool.query(
+        `SELECT ${TICKET_COLUMNS} FROM saved_tickets
+         WHERE user_id = $1 ${statusFilter}
+         ORDER BY draw_date DESC, created_at DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+    return result.rows;
+}
+
+// Returns false if the user has no such ticket
+async function deleteSavedTicket(userId, id) {
+    const result = await pool.query('DELETE FROM saved_tickets WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rowCount > 0;
+}
+
+// Ticket counts by status and the total spent vs. won
+async function walletSummary(userId) {
+    const { rows } = await pool.query(
+        `SELECT status, COUNT(*)::int AS tickets, SUM(purchase_price) AS spent, SUM(prize_amount) AS won
+         FROM saved_tickets WHERE user_id = $1 GROUP BY status`,
+        [userId]
+    );
+
+    const summary = { tickets: 0, pending: 0, won: 0, lost: 0, totalSpent: 0, totalWon: 0 };
+    for (const row of rows) {
+        summary[row.status] = row.tickets;
+        summary.tickets += row.tickets;
+        summary.totalSpent += parseFloat(row.spent) || 0;
+        summary.totalWon += parseFloat(row.won) || 0;
+    }
+    const round = amount => Math.round(amount * 100) / 100;
+    summary.totalSpent = round(summary.totalSpent);
+    summary.totalWon = round(summary.totalWon);
+    summary.net = round(summary.totalWon - summary.totalSpent);
+    return summary;
+}
+
+module.exports = {
+    STATUSES,
+    parseSaveRequest,
+    checkSavedTickets,
+    recheckSavedTicketsForDraw,
+    saveTickets,
+    getSavedTicket,
+    listSavedTickets,
+    deleteSavedTicket,
+    walletSummary
+};
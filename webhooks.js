@@ -0,0 +1,181 @@
+// Webhook delivery. Every published event is stored as one webhook_deliveries row
+// per subscribed webhook and POSTed as JSON. Each request is signed:
+//
+//   X-Webhook-Event:      event type, e.g. "draw.ingested"
+//   X-Webhook-Delivery:   delivery id (stable across retries)
+//   X-Webhook-Timestamp:  unix seconds
+//   X-Webhook-Signature:  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+//
+// Failed deliveries are retried with backoff (RETRY_MINUTES) and then marked failed.
+// A delivery is claimed (status "sending") before it is POSTed, so the attempt made
+// on publish, the retry cron and other instances never send it twice.
+const crypto = require('crypto');
+const axios = require('axios');
+const pool = require('./db');
+
+const EVENT_TYPES = ['draw.ingested', 'ticket.won'];
+const RETRY_MINUTES = [1, 5, 30, 120, 720]; // after attempts 1..5; the 6th failure is final
+const DELIVERY_TIMEOUT_MS = 10000;
+const CLAIM_MINUTES = 5; // a claim older than this was lost (e.g. the process died) and is retried
+
+const WEBHOOK_COLUMNS = 'id, url, events, description, active, created_by, created_at';
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Returns the webhook including its secret (only shown at creation)
+async function createWebhook({ url, events = EVENT_TYPES, description = null, createdBy = null }) {
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const result = await pool.query(
+        `INSERT INTO webhooks (url, secret, events, description, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${WEBHOOK_COLUMNS}, secret`,
+        [url, secret, JSON.stringify(events), description, createdBy]
+    );
+    return result.rows[0];
+}
+
+async function listWebhooks() {
+    const result = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY created_at DESC`);
+    return result.rows;
+}
+
+async function getWebhook(id) {
+    const result = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// Returns false if the webhook doesn't exist
+async function deleteWebhook(id) {
+    const result = await pool.query('DELETE FROM webhooks WHERE id = $1', [id]);
+    return result.rowCount > 0;
+}
+
+async function listDeliveries(webhookId, { limit = 50 } = {}) {
+    const result = await pool.query(
+        `SELECT id, event_id, event_type, status, attempts, last_status_code, last_error,
+                next_attempt_at, created_at, delivered_at
+         FROM webhook_deliveries WHERE webhook_id = $1
+         ORDER BY created_at DESC LIMIT $2`,
+        [webhookId, limit]
+    );
+    return result.rows;
+}
+
+// Store a delivery for every active webhook subscribed to the event (or only
+// for `webhookId` when the event is addressed to one). Returns the delivery ids.
+// The caller attempts them straight away; they only become due for the retry
+// cron after the first retry interval, in case that attempt never happens.
+async function queueDeliveries(event, { webhookId = null } = {}) {
+    const { rows: webhooks } = await pool.query('SELECT id, events FROM webhooks WHERE active = TRUE');
+    const targets = webhooks.filter(w => {
+        const events = typeof w.events === 'string' ? JSON.parse(w.events) : w.events;
+        return events.includes(event.type) && (!webhookId || w.id === webhookId);
+    });
+
+    const ids = [];
+    for (const webhook of targets) {
+        const result = await pool.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+             VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+            [webhook.id, event.id, event.type, JSON.stringify(event), new Date(Date.now() + RETRY_MINUTES[0] * 60000)]
+        );
+        ids.push(result.rows[0].id);
+    }
+    return ids;
+}
+
+// Claim a pending delivery (or one whose claim has expired) for this attempt.
+// The single UPDATE means only one caller can win it. Returns the delivery or null
+async function claimDelivery(deliveryId, now = new Date()) {
+    const { rows } = await pool.query(
+        `UPDATE webhook_deliveries SET status = 'sending', next_attempt_at = $3
+         WHERE id = $1 AND (status = 'pending' OR (status = 'sending' AND next_attempt_at <= $2))
+         RETURNING id, webhook_id, event_type, payload, attempts`,
+        [deliveryId, now, new Date(now.getTime() + CLAIM_MINUTES * 60000)]
+    );
+    if (rows.length === 0) return null;
+
+    const webhook = await pool.query('SELECT url, secret FROM webhooks WHERE id = $1', [rows[0].webhook_id]);
+    return { ...rows[0], ...webhook.rows[0] };
+}
+
+// POST one delivery and record the outcome. Returns the new status, or null if
+// the delivery isn't pending or another attempt has claimed it
+async function attemptDelivery(deliveryId, now = new Date()) {
+    const delivery = await claimDelivery(deliveryId, now);
+    if (!delivery) return null;
+
+    const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    try {
+        const response = await axios.post(delivery.url, body, {
+            timeout: DELIVERY_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'kerala-lottery-webhooks',
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+            }
+        });
+        await pool.query(
+            `UPDATE webhook_deliveries
+             SET status = 'delivered', attempts = $2, last_status_code = $3, last_error = NULL,
+                 delivered_at = CURRENT_TIMESTAMP, next_attempt_at = NULL
+             WHERE id = $1`,
+            [delivery.id, attempts, response.status]
+        );
+        return 'delivered';
+    } catch (err) {
+        const retryIn = RETRY_MINUTES[attempts - 1];
+        const status = retryIn === undefined ? 'failed' : 'pending';
+        await pool.query(
+            `UPDATE webhook_deliveries
+             SET status = $2, attempts = $3, last_status_code = $4, last_error = $5, next_attempt_at = $6
+             WHERE id = $1`,
+            [delivery.id, status, attempts, err.response ? err.response.status : null, err.message,
+                status === 'pending' ? new Date(Date.now() + retryIn * 60000) : null]
+        );
+        console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}):`, err.message);
+        return status;
+    }
+}
+
+// Retry pending deliveries that are due, and sends whose claim has expired.
+// Returns { attempted, delivered }, skipping any claimed by another run meanwhile
+async function deliverDueWebhooks(now = new Date()) {
+    const { rows } = await pool.query(
+        `SELECT id FROM webhook_deliveries
+         WHERE status IN ('pending', 'sending') AND next_attempt_at <= $1
+         ORDER BY created_at`,
+        [now]
+    );
+
+    let attempted = 0;
+    let delivered = 0;
+    for (const { id } of rows) {
+        const status = await attemptDelivery(id, now);
+        if (status) attempted++;
+        if (status === 'delivered') delivered++;
+    }
+    return { attempted, delivered };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    RETRY_MINUTES,
+    signPayload,
+    createWebhook,
+    listWebhooks,
+    getWebhook,
+    deleteWebhook,
+    listDeliveries,
+    queueDeliveries,
+    attemptDelivery,
+    deliverDueWebhooks
+};